@@ -0,0 +1,33 @@
+/**
+ * Storing fresh PageSpeed runs
+ * Single-page and site audits keep their runs the same way: each one is saved
+ * as a shareable report, cached with that report's ID and added to the
+ * domain's score history. The writes are returned for the caller to hand to
+ * waitUntil, so responses don't wait on storage.
+ */
+
+import { recordSnapshots } from './history.js';
+import { createReportId, saveReport } from './reports.js';
+
+// runs: [{ url, cacheKey, data }] -> { results (data plus reportId), writes }
+export function storeFreshResults(env, { cache, strategy, runs }) {
+  const results = runs.map(({ data }) => ({ ...data, reportId: createReportId() }));
+
+  // Cache entries are written once their report exists, so cached responses
+  // never hand out a dead permalink
+  const cacheWrites = runs.map(({ url, cacheKey, data }, index) => (
+    saveReport(env, results[index].reportId, data, { url, strategy }).then(
+      () => cache.put(cacheKey, results[index]),
+      error => {
+        console.error('Report save failed:', error);
+        return cache.put(cacheKey, { ...data, reportId: null });
+      }
+    )
+  ));
+
+  const historyWrite = recordSnapshots(env, { strategy, runs }).catch(error => {
+    console.error('History write failed:', error);
+  });
+
+  return { results, writes: Promise.all([...cacheWrites, historyWrite]) };
+}
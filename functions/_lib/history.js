@@ -0,0 +1,78 @@
+/**
+ * Score history per domain
+ * Every fresh analysis appends a snapshot of the category scores to
+ * history:v1:<domain>:<strategy> in the LIGHTHOUSE_HISTORY KV binding
+ * (in-memory fallback), so rebuilt sites can show before/after trends.
+ *
+ * KV has no compare-and-swap, so two runs of the same domain finishing at the
+ * same moment can drop a snapshot. That's fine for a trend chart.
+ */
+
+import { createStore } from './store.js';
+
+const HISTORY_BINDING = 'LIGHTHOUSE_HISTORY';
+const MAX_SNAPSHOTS = 50;
+const DEFAULT_TTL_DAYS = 365;
+
+// PSI category id -> snapshot field (matches the widget's score keys)
+const SNAPSHOT_CATEGORIES = {
+  performance: 'performance',
+  accessibility: 'accessibility',
+  'best-practices': 'bestPractices',
+  seo: 'seo'
+};
+
+function getHistoryTtl(env) {
+  const days = parseInt(env.HISTORY_TTL_DAYS, 10);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS) * 24 * 60 * 60;
+}
+
+// www.example.com and example.com share one history
+export function getHistoryDomain(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+function historyKey(url, strategy) {
+  return `history:v1:${getHistoryDomain(url)}:${strategy}`;
+}
+
+export function createSnapshot(data, url) {
+  const categories = data.lighthouseResult?.categories || {};
+  const snapshot = {
+    timestamp: data.analysisUTCTimestamp || new Date().toISOString(),
+    url
+  };
+
+  Object.entries(SNAPSHOT_CATEGORIES).forEach(([categoryId, field]) => {
+    const score = categories[categoryId]?.score;
+    snapshot[field] = typeof score === 'number' ? Math.round(score * 100) : null;
+  });
+
+  return snapshot;
+}
+
+export async function loadHistory(env, { url, strategy }) {
+  const store = createStore(env, HISTORY_BINDING);
+  return (await store.get(historyKey(url, strategy))) || [];
+}
+
+// One read-modify-write per domain and strategy, so the pages of a site audit
+// don't overwrite each other's snapshots
+export async function recordSnapshots(env, { strategy, runs }) {
+  const store = createStore(env, HISTORY_BINDING);
+  const byKey = new Map();
+
+  runs.forEach(({ url, data }) => {
+    const key = historyKey(url, strategy);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(createSnapshot(data, url));
+  });
+
+  await Promise.all([...byKey].map(async ([key, added]) => {
+    const snapshots = [...((await store.get(key)) || []), ...added];
+    snapshots.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    // Writing refreshes the TTL, so domains that are still analyzed keep their history
+    await store.put(key, snapshots.slice(-MAX_SNAPSHOTS), getHistoryTtl(env));
+  }));
+}
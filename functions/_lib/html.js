@@ -0,0 +1,67 @@
+/**
+ * Lightweight HTML/XML helpers for pages fetched by the functions
+ * Regex based on purpose: Workers have no DOMParser, and the checks built on
+ * these only need titles, meta tags, headings, links and visible text.
+ */
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+export function decodeEntities(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos|nbsp|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return NAMED_ENTITIES[entity.toLowerCase()];
+    const codePoint = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    // NUL, out-of-range and surrogate references decode to U+FFFD, as in browsers
+    if (!(codePoint > 0 && codePoint <= 0x10ffff) || (codePoint >= 0xd800 && codePoint <= 0xdfff)) return '\uFFFD';
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Text a visitor can read: no comments, scripts, styles or markup
+export function getVisibleText(html) {
+  return toText(html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, ' '));
+}
+
+// Text content of every <tag> element (no nesting of the same tag assumed)
+export function getElementTexts(html, tag) {
+  const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}\\s*>`, 'gi');
+  return [...html.matchAll(pattern)].map(match => toText(match[1]));
+}
+
+function getAttribute(tagHtml, name) {
+  const match = tagHtml.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+// content of <meta name="..."> (or property="..." for Open Graph tags)
+export function getMetaContent(html, name) {
+  for (const [tagHtml] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = getAttribute(tagHtml, 'name') || getAttribute(tagHtml, 'property');
+    if (key && key.toLowerCase() === name) {
+      return getAttribute(tagHtml, 'content');
+    }
+  }
+  return null;
+}
+
+// href of every <a> tag, as written in the markup
+export function getLinkHrefs(html) {
+  return [...html.matchAll(/<a\b[^>]*>/gi)]
+    .map(([tagHtml]) => getAttribute(tagHtml, 'href'))
+    .filter(href => href !== null)
+    .map(href => href.trim());
+}
+
+// Raw contents of <script type="application/ld+json"> blocks
+export function getJsonLdBlocks(html) {
+  return [...html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi)]
+    .filter(([, attributes]) => /application\/ld\+json/i.test(getAttribute(` ${attributes}`, 'type') || ''))
+    .map(([, , content]) => content.trim());
+}
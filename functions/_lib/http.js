@@ -0,0 +1,59 @@
+/**
+ * Shared HTTP helpers for Pages Functions
+ * CORS is limited to the site's own origin plus anything listed in the
+ * ALLOWED_ORIGINS env var (comma-separated, e.g. "https://nicolasbolt.com")
+ */
+
+export function getAllowedOrigins(request, env) {
+  const configured = (env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  // Same-origin browser requests still send an Origin header on POST
+  return [new URL(request.url).origin, ...configured];
+}
+
+export function isOriginAllowed(request, env) {
+  const origin = request.headers.get('Origin');
+
+  // Non-browser clients don't send Origin; rate limiting still applies to them
+  if (!origin) return true;
+
+  return getAllowedOrigins(request, env).includes(origin);
+}
+
+export function getCorsHeaders(request, env, methods = 'POST, OPTIONS') {
+  const headers = {
+    'Access-Control-Allow-Methods': methods,
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'Retry-After',
+    'Vary': 'Origin'
+  };
+
+  const origin = request.headers.get('Origin');
+  if (origin && isOriginAllowed(request, env)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  }
+
+  return headers;
+}
+
+export function jsonResponse(body, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...headers, 'Content-Type': 'application/json' }
+  });
+}
+
+// Errors carry a machine-readable code so the widgets can map them to copy
+export function errorResponse(code, message, { status = 400, headers = {}, extra = {} } = {}) {
+  return jsonResponse({ error: message, code, ...extra }, { status, headers });
+}
+
+export function handlePreflight(request, env, methods) {
+  if (!isOriginAllowed(request, env)) {
+    return new Response(null, { status: 403 });
+  }
+  return new Response(null, { status: 204, headers: getCorsHeaders(request, env, methods) });
+}
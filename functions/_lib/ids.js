@@ -0,0 +1,26 @@
+/**
+ * Short random IDs for stored records (leads, shared reports)
+ */
+
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Rejection sampling keeps every character equally likely
+export function createShortId(length = 10) {
+  const maxByte = 256 - (256 % ALPHABET.length);
+  let id = '';
+
+  while (id.length < length) {
+    const bytes = crypto.getRandomValues(new Uint8Array(length * 2));
+    for (const byte of bytes) {
+      if (byte < maxByte && id.length < length) {
+        id += ALPHABET[byte % ALPHABET.length];
+      }
+    }
+  }
+
+  return id;
+}
+
+export function isShortId(value, length = 10) {
+  return typeof value === 'string' && value.length === length && /^[0-9A-Za-z]+$/.test(value);
+}
@@ -0,0 +1,219 @@
+/**
+ * PageSpeed Insights API key pool and quota accounting
+ * GOOGLE_PAGESPEED_API_KEY takes one key or a comma-separated list. Runs start
+ * on the next key round-robin and runPagespeed fails over to the others on
+ * 403/429. A key that is invalid or out of daily quota goes to the back of the
+ * line for the rest of the day.
+ *
+ * Every upstream attempt is counted per key and day (requests, successes,
+ * errors by code) in the PAGESPEED_USAGE KV binding (in-memory fallback).
+ * Keys are stored and reported by a hash prefix, never in full. Days follow
+ * Pacific time because that's when Google resets the quota.
+ *
+ * Counts are merged read-modify-write when a request finishes, so runs ending
+ * at the same moment in different isolates can drop a count. Close enough to
+ * see a quota crunch coming.
+ */
+
+import { sha256Hex } from './result-cache.js';
+import { createStore } from './store.js';
+
+const USAGE_BINDING = 'PAGESPEED_USAGE';
+const USAGE_VERSION = 'v1';
+const USAGE_TTL_DAYS = 8;
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+
+// Round-robin position, shared by requests handled by the same isolate
+let nextKeyIndex = 0;
+
+export function parseApiKeys(value) {
+  return [...new Set(String(value || '').split(',').map(key => key.trim()).filter(Boolean))];
+}
+
+// YYYY-MM-DD of the quota day, `daysAgo` days back from today
+export function getQuotaDay(daysAgo = 0, now = new Date()) {
+  const today = new Intl.DateTimeFormat('en-CA', {
+    timeZone: QUOTA_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+
+  // Step back from noon so DST changes can't skip or repeat a day
+  const date = new Date(`${today}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - daysAgo);
+  return date.toISOString().slice(0, 10);
+}
+
+async function getKeyId(apiKey) {
+  return (await sha256Hex(apiKey)).slice(0, 12);
+}
+
+function usageKey(keyId, day) {
+  return `usage:${USAGE_VERSION}:${keyId}:${day}`;
+}
+
+function emptyUsage() {
+  return { requests: 0, successes: 0, errors: {}, exhausted: false, lastErrorAt: null };
+}
+
+async function loadUsage(env, keyId, day) {
+  const store = createStore(env, USAGE_BINDING);
+  return { ...emptyUsage(), ...(await store.get(usageKey(keyId, day))) };
+}
+
+/**
+ * One pool per request. record() is synchronous so runPagespeed never waits
+ * on storage; flush() writes what was recorded and never rejects, so callers
+ * can hand it to waitUntil.
+ */
+export function createKeyPool(env) {
+  const keys = parseApiKeys(env.GOOGLE_PAGESPEED_API_KEY);
+  const store = createStore(env, USAGE_BINDING);
+  const pending = new Map();
+
+  return {
+    size: keys.length,
+
+    // Keys in the order one run should try them
+    async getKeys() {
+      if (keys.length === 0) return [];
+
+      const start = nextKeyIndex++ % keys.length;
+      const rotated = keys.map((_, index) => keys[(start + index) % keys.length]);
+      const day = getQuotaDay();
+
+      const exhausted = await Promise.all(rotated.map(async apiKey => {
+        if (pending.get(`${apiKey}|${day}`)?.exhausted) return true;
+        try {
+          return (await loadUsage(env, await getKeyId(apiKey), day)).exhausted;
+        } catch (error) {
+          console.error('Key usage read failed:', error);
+          return false;
+        }
+      }));
+
+      return [
+        ...rotated.filter((_, index) => !exhausted[index]),
+        ...rotated.filter((_, index) => exhausted[index])
+      ];
+    },
+
+    // outcome is { ok: true } or { code, exhausted }
+    record(apiKey, outcome) {
+      const day = getQuotaDay();
+      const id = `${apiKey}|${day}`;
+      const entry = pending.get(id) || { apiKey, day, ...emptyUsage() };
+
+      entry.requests++;
+      if (outcome.ok) {
+        entry.successes++;
+      } else {
+        entry.errors[outcome.code] = (entry.errors[outcome.code] || 0) + 1;
+        entry.exhausted = entry.exhausted || Boolean(outcome.exhausted);
+        entry.lastErrorAt = new Date().toISOString();
+      }
+
+      pending.set(id, entry);
+    },
+
+    async flush() {
+      const entries = [...pending.values()];
+      pending.clear();
+
+      await Promise.all(entries.map(async ({ apiKey, day, ...delta }) => {
+        try {
+          const keyId = await getKeyId(apiKey);
+          const usage = await loadUsage(env, keyId, day);
+
+          usage.requests += delta.requests;
+          usage.successes += delta.successes;
+          Object.entries(delta.errors).forEach(([code, count]) => {
+            usage.errors[code] = (usage.errors[code] || 0) + count;
+          });
+          usage.exhausted = usage.exhausted || delta.exhausted;
+          usage.lastErrorAt = delta.lastErrorAt || usage.lastErrorAt;
+
+          await store.put(usageKey(keyId, day), usage, USAGE_TTL_DAYS * 24 * 60 * 60);
+        } catch (error) {
+          console.error('Key usage write failed:', error);
+        }
+      }));
+    }
+  };
+}
+
+function getErrorRate({ requests, successes }) {
+  return requests > 0 ? Math.round(((requests - successes) / requests) * 1000) / 1000 : null;
+}
+
+function sumUsage(records) {
+  const total = emptyUsage();
+  records.forEach(record => {
+    total.requests += record.requests;
+    total.successes += record.successes;
+    Object.entries(record.errors).forEach(([code, count]) => {
+      total.errors[code] = (total.errors[code] || 0) + count;
+    });
+  });
+  return total;
+}
+
+/**
+ * Quota usage and error rates per key for the last `days` quota days
+ * (today first). dailyQuota is the per-key limit set in the Cloud console.
+ */
+export async function getUsageReport(env, { days, dailyQuota }) {
+  const keys = parseApiKeys(env.GOOGLE_PAGESPEED_API_KEY);
+  const dayList = Array.from({ length: days }, (_, daysAgo) => getQuotaDay(daysAgo));
+
+  const keyReports = await Promise.all(keys.map(async (apiKey, index) => {
+    const keyId = await getKeyId(apiKey);
+    const records = await Promise.all(dayList.map(day => loadUsage(env, keyId, day)));
+    const [today] = records;
+
+    return {
+      id: keyId,
+      label: `Key ${index + 1}`,
+      today: {
+        requests: today.requests,
+        successes: today.successes,
+        errors: today.errors,
+        errorRate: getErrorRate(today),
+        exhausted: today.exhausted,
+        remaining: today.exhausted ? 0 : Math.max(0, dailyQuota - today.requests),
+        lastErrorAt: today.lastErrorAt
+      },
+      days: records.map((record, dayIndex) => ({
+        day: dayList[dayIndex],
+        requests: record.requests,
+        successes: record.successes,
+        errors: record.errors,
+        errorRate: getErrorRate(record)
+      }))
+    };
+  }));
+
+  const today = sumUsage(keyReports.map(key => key.today));
+  const recent = sumUsage(keyReports.flatMap(key => key.days));
+
+  return {
+    quotaDay: dayList[0],
+    dailyQuotaPerKey: dailyQuota,
+    totals: {
+      today: {
+        requests: today.requests,
+        errorRate: getErrorRate(today),
+        remaining: keyReports.reduce((sum, key) => sum + key.today.remaining, 0),
+        keysExhausted: keyReports.filter(key => key.today.exhausted).length
+      },
+      recent: {
+        days,
+        requests: recent.requests,
+        errors: recent.errors,
+        errorRate: getErrorRate(recent)
+      }
+    },
+    keys: keyReports
+  };
+}
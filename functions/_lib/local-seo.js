@@ -0,0 +1,257 @@
+/**
+ * Local SEO checks on a page's HTML
+ * Lighthouse's SEO category is generic; these checks cover what moves local
+ * rankings for service businesses: LocalBusiness/Service structured data,
+ * consistent name/address/phone (NAP), a click-to-call link, title and meta
+ * description length, a single H1, and the city/service in the key tags.
+ *
+ * auditLocalSeo returns { score, city, service, checks } where each check is
+ * { id, title, passed, applicable, weight, description, value } and the score
+ * (0-100) is the weighted share of applicable checks that pass.
+ */
+
+import { getElementTexts, getJsonLdBlocks, getLinkHrefs, getMetaContent, getVisibleText } from './html.js';
+
+// schema.org LocalBusiness and the subtypes contractors and local services use
+const LOCAL_BUSINESS_TYPES = [
+  'LocalBusiness', 'HomeAndConstructionBusiness', 'GeneralContractor', 'RoofingContractor',
+  'Plumber', 'Electrician', 'HVACBusiness', 'HousePainter', 'Locksmith', 'MovingCompany',
+  'ProfessionalService', 'AutomotiveBusiness', 'AutoRepair', 'LegalService', 'Attorney',
+  'AccountingService', 'FinancialService', 'Dentist', 'MedicalBusiness', 'MedicalClinic',
+  'HealthAndBeautyBusiness', 'EmergencyService', 'FoodEstablishment', 'Restaurant', 'Store',
+  'RealEstateAgent', 'ChildCare', 'DryCleaningOrLaundry', 'EntertainmentBusiness',
+  'LodgingBusiness', 'SportsActivityLocation'
+];
+
+const TITLE_LENGTH = { min: 30, max: 60 };
+const META_DESCRIPTION_LENGTH = { min: 70, max: 160 };
+
+// North American numbers, the market this tool is built for
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+function formatPhone(digits) {
+  return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function includesText(haystack, needle) {
+  return Boolean(needle) && normalizeText(haystack).includes(normalizeText(needle));
+}
+
+function getTypes(node) {
+  const type = node['@type'];
+  return (Array.isArray(type) ? type : [type]).filter(value => typeof value === 'string');
+}
+
+// Every node in the page's JSON-LD, with @graph and arrays flattened
+function parseStructuredData(html) {
+  const nodes = [];
+  let invalidBlocks = 0;
+
+  const collect = value => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+
+  getJsonLdBlocks(html).forEach(block => {
+    try {
+      collect(JSON.parse(block));
+    } catch {
+      invalidBlocks++;
+    }
+  });
+
+  return { nodes, invalidBlocks };
+}
+
+function getAddressParts(address) {
+  if (typeof address === 'string') {
+    return { street: address, city: null };
+  }
+  if (address && typeof address === 'object') {
+    return {
+      street: typeof address.streetAddress === 'string' ? address.streetAddress : null,
+      city: typeof address.addressLocality === 'string' ? address.addressLocality : null
+    };
+  }
+  return { street: null, city: null };
+}
+
+function check(id, title, weight, passed, description, value = '') {
+  return { id, title, weight, applicable: true, passed, description, value };
+}
+
+function notApplicable(id, title, weight, value) {
+  return { id, title, weight, applicable: false, passed: false, description: '', value };
+}
+
+function checkSchema(business, serviceNode, invalidBlocks) {
+  const title = 'LocalBusiness or Service structured data';
+  const types = [business, serviceNode].filter(Boolean).flatMap(getTypes);
+
+  if (types.length > 0) {
+    return check('local-business-schema', title, 3, true, '', `Found: ${types.join(', ')}`);
+  }
+
+  return check(
+    'local-business-schema', title, 3, false,
+    'Add LocalBusiness JSON-LD (or a more specific type like Plumber or RoofingContractor) so Google can connect this page to your business listing.',
+    invalidBlocks > 0 ? `${invalidBlocks} JSON-LD block${invalidBlocks > 1 ? 's' : ''} could not be parsed` : 'No LocalBusiness or Service JSON-LD found'
+  );
+}
+
+function checkSchemaFields(business) {
+  const title = 'Business name, address and phone in structured data';
+  if (!business) {
+    return notApplicable('local-business-fields', title, 2, 'No LocalBusiness JSON-LD to check');
+  }
+
+  const address = getAddressParts(business.address);
+  const missing = [
+    ['name', typeof business.name === 'string' && business.name.trim()],
+    ['address', address.street || address.city],
+    ['telephone', normalizePhone(business.telephone)]
+  ].filter(([, present]) => !present).map(([field]) => field);
+
+  return check(
+    'local-business-fields', title, 2, missing.length === 0,
+    'Fill in name, address (a PostalAddress with street and city) and telephone in your LocalBusiness JSON-LD.',
+    missing.length > 0 ? `Missing: ${missing.join(', ')}` : 'name, address and telephone present'
+  );
+}
+
+function checkNap(html, text, business) {
+  const title = 'Consistent name, address and phone (NAP)';
+  const telNumbers = getLinkHrefs(html)
+    .filter(href => /^tel:/i.test(href))
+    .map(href => normalizePhone(href.slice(4)));
+  const phones = new Set([
+    ...(text.match(PHONE_PATTERN) || []).map(normalizePhone),
+    ...telNumbers,
+    normalizePhone(business?.telephone)
+  ].filter(Boolean));
+
+  const problems = [];
+  if (phones.size === 0) {
+    problems.push('no phone number on the page');
+  } else if (phones.size > 1) {
+    problems.push(`${phones.size} different phone numbers (${[...phones].map(formatPhone).join(', ')})`);
+  }
+
+  if (business) {
+    const address = getAddressParts(business.address);
+    if (business.name && !includesText(text, business.name)) {
+      problems.push(`business name "${business.name}" not shown on the page`);
+    }
+    if (address.street && !includesText(text, address.street)) {
+      problems.push(`street address "${address.street}" not shown on the page`);
+    }
+  }
+
+  return check(
+    'nap-consistency', title, 3, problems.length === 0,
+    'Show one phone number, and the same business name and address as your Google Business Profile, everywhere on the page.',
+    problems.length > 0 ? `Found ${problems.join('; ')}` : `Phone: ${formatPhone([...phones][0])}`
+  );
+}
+
+function checkClickToCall(html) {
+  const hasTelLink = getLinkHrefs(html).some(href => /^tel:\+?[\d\s().-]{7,}$/i.test(href));
+
+  return check(
+    'click-to-call', 'Click-to-call phone link', 2, hasTelLink,
+    'Link your phone number with `href="tel:..."` so mobile visitors can call with one tap.',
+    hasTelLink ? 'tel: link found' : 'No tel: link found'
+  );
+}
+
+function checkLength(id, title, value, { min, max }, fix) {
+  const length = value ? value.trim().length : 0;
+  const passed = length >= min && length <= max;
+
+  return check(
+    id, title, 1, passed, fix,
+    length === 0 ? 'Missing' : `${length} characters${passed ? '' : ` (aim for ${min}-${max})`}`
+  );
+}
+
+function checkH1(h1s) {
+  return check(
+    'single-h1', 'One H1 heading', 1, h1s.length === 1,
+    'Use exactly one H1 that says what you do and where, e.g. "Roof Repair in Indianapolis".',
+    h1s.length === 1 ? `"${h1s[0].slice(0, 80)}"` : `${h1s.length} H1 headings found`
+  );
+}
+
+function checkKeywords({ city, service, title, h1s, metaDescription }) {
+  const checkTitle = 'City and service in title, H1 and meta description';
+  const terms = [city, service].filter(Boolean);
+  if (terms.length === 0) {
+    return notApplicable('local-keywords', checkTitle, 2, 'No city or service to look for');
+  }
+
+  const tags = [['title', title], ['H1', h1s.join(' ')], ['meta description', metaDescription]];
+  const missing = terms.flatMap(term => {
+    const missingFrom = tags.filter(([, content]) => !includesText(content, term)).map(([tag]) => tag);
+    return missingFrom.length > 0 ? [`"${term}" missing from ${missingFrom.join(', ')}`] : [];
+  });
+
+  return check(
+    'local-keywords', checkTitle, 2, missing.length === 0,
+    'Mention your main service and the city you serve in the page title, the H1 and the meta description.',
+    missing.length > 0 ? missing.join('; ') : `Found ${terms.map(term => `"${term}"`).join(' and ')} in all three`
+  );
+}
+
+export function auditLocalSeo(html, options = {}) {
+  const text = getVisibleText(html);
+  const { nodes, invalidBlocks } = parseStructuredData(html);
+  const business = nodes.find(node => getTypes(node).some(type => LOCAL_BUSINESS_TYPES.includes(type)));
+  const serviceNode = nodes.find(node => getTypes(node).includes('Service'));
+
+  const title = getElementTexts(html, 'title')[0] || '';
+  const metaDescription = getMetaContent(html, 'description') || '';
+  const h1s = getElementTexts(html, 'h1').filter(Boolean);
+
+  // Fall back to what the structured data says about the business
+  const city = options.city || getAddressParts(business?.address).city || null;
+  const serviceName = options.service ||
+    [serviceNode?.serviceType, serviceNode?.name].find(value => typeof value === 'string') ||
+    null;
+
+  const checks = [
+    checkSchema(business, serviceNode, invalidBlocks),
+    checkSchemaFields(business),
+    checkNap(html, text, business),
+    checkClickToCall(html),
+    checkLength('title-length', 'Title length', title, TITLE_LENGTH,
+      `Write a ${TITLE_LENGTH.min}-${TITLE_LENGTH.max} character title with your service and city.`),
+    checkLength('meta-description-length', 'Meta description length', metaDescription, META_DESCRIPTION_LENGTH,
+      `Write a ${META_DESCRIPTION_LENGTH.min}-${META_DESCRIPTION_LENGTH.max} character meta description that invites searchers to call or get a quote.`),
+    checkH1(h1s),
+    checkKeywords({ city, service: serviceName, title, h1s, metaDescription })
+  ];
+
+  const applicable = checks.filter(item => item.applicable);
+  const totalWeight = applicable.reduce((sum, item) => sum + item.weight, 0);
+  const passedWeight = applicable.filter(item => item.passed).reduce((sum, item) => sum + item.weight, 0);
+
+  return {
+    score: totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 100) : 0,
+    city,
+    service: serviceName,
+    checks
+  };
+}
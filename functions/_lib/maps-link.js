@@ -0,0 +1,129 @@
+/**
+ * Google Maps share link resolution
+ * maps.app.goo.gl / goo.gl/maps share links (what the Share button and the
+ * phone apps hand out) only reveal the listing after a redirect, which the
+ * browser can't follow cross-origin. resolveMapsLink follows the redirects by
+ * hand until they leave the short link hosts, staying on Google hosts
+ * throughout, and pulls the Place ID out of the expanded URL.
+ *
+ * The host allowlist keeps this from being a general-purpose URL fetcher, so
+ * unlike public-fetch.js no DNS checks are needed.
+ */
+
+import { MAX_URL_LENGTH } from './validation.js';
+
+const SHORT_LINK_HOSTS = ['maps.app.goo.gl', 'goo.gl', 'g.co', 'share.google'];
+const MAX_HOPS = 5;
+const HOP_TIMEOUT_MS = 5000;
+
+// google.com, google.de, google.co.uk, google.com.au and their subdomains
+const GOOGLE_HOST_PATTERN = /(^|\.)google\.(com|[a-z]{2}|co\.[a-z]{2}|com\.[a-z]{2})$/;
+
+function invalid(code, message) {
+  return { error: { code, message } };
+}
+
+function toUrl(value, base) {
+  try {
+    return new URL(value, base);
+  } catch {
+    return null;
+  }
+}
+
+function isShortLinkHost(hostname) {
+  return SHORT_LINK_HOSTS.includes(hostname);
+}
+
+function isAllowedHop(url) {
+  return Boolean(url) && url.protocol === 'https:' &&
+    (isShortLinkHost(url.hostname) || GOOGLE_HOST_PATTERN.test(url.hostname));
+}
+
+// Place IDs only; the widget's parseGoogleUrl also reads feature IDs and CIDs
+// from expandedUrl
+export function extractPlaceId(url) {
+  const dataMatch = url.match(/[!|]1s(ChIJ[^!|&?#]+)/);
+  if (dataMatch) return decodeURIComponent(dataMatch[1]);
+
+  try {
+    const params = new URL(url).searchParams;
+    const value = params.get('placeid') || params.get('place_id') || params.get('query_place_id');
+    return value && /^ChIJ[\w-]+$/.test(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+export function validateShortLink(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    return invalid('url_required', 'Please provide a Google Maps link');
+  }
+
+  const trimmed = input.trim();
+  if (trimmed.length > MAX_URL_LENGTH) {
+    return invalid('url_too_long', 'URL is too long');
+  }
+
+  const url = toUrl(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  if (!url) {
+    return invalid('url_invalid', 'Please provide a valid URL');
+  }
+
+  url.protocol = 'https:';
+  if (!isShortLinkHost(url.hostname.toLowerCase())) {
+    return invalid('url_host_not_allowed', 'Only Google Maps share links can be resolved');
+  }
+
+  return { value: url.toString() };
+}
+
+/**
+ * Follow a share link to the listing it points at.
+ * Returns { value: { expandedUrl, placeId } } or { error }.
+ */
+export async function resolveMapsLink(shortUrl) {
+  let current = new URL(shortUrl);
+
+  for (let hop = 0; hop <= MAX_HOPS; hop++) {
+    if (!isAllowedHop(current)) {
+      return invalid('link_unresolvable', 'That link doesn\'t lead to a Google Maps listing');
+    }
+
+    // The EU consent interstitial carries the real destination in ?continue=
+    if (current.hostname.startsWith('consent.') && current.searchParams.get('continue')) {
+      current = toUrl(current.searchParams.get('continue'));
+      continue;
+    }
+
+    // Expanded once we're off the short link hosts; no need to load Google's page
+    if (!isShortLinkHost(current.hostname)) {
+      const expandedUrl = current.toString();
+      return { value: { expandedUrl, placeId: extractPlaceId(expandedUrl) } };
+    }
+
+    let response;
+    try {
+      response = await fetch(current.toString(), {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(HOP_TIMEOUT_MS),
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; WebsiteAnalysisBot/1.0)' }
+      });
+    } catch (error) {
+      console.error('Maps link fetch failed:', current.toString(), error);
+      return invalid('link_unresolvable', 'Could not reach Google to resolve that link');
+    }
+
+    // Only the Location header matters
+    await response.body?.cancel();
+
+    const location = response.headers.get('Location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return invalid('link_unresolvable', 'That share link is broken or has expired');
+    }
+
+    current = toUrl(location, current);
+  }
+
+  return invalid('link_unresolvable', 'That link redirects too many times');
+}
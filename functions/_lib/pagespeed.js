@@ -0,0 +1,152 @@
+/**
+ * Google PageSpeed Insights client for Pages Functions
+ * Each attempt is cut off after PAGESPEED_TIMEOUT_MS (default 60s) and
+ * transient failures (429 and 5xx) are retried up to PAGESPEED_MAX_RETRIES
+ * times (default 2) with exponential backoff.
+ *
+ * Keys come from the pool in _lib/key-pool.js: a 403 or 429 moves straight on
+ * to the next key without using up a retry, and every attempt is recorded
+ * against the key that made it.
+ *
+ * Returns { value: data } or { error: { code, message, status } } like the
+ * validators, so callers can hand the error straight to errorResponse.
+ */
+
+const PAGESPEED_API_URL = 'https://www.googleapis.com/pagespeedonline/v5/runPagespeed';
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 8000;
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export function getPagespeedOptions(env) {
+  return {
+    timeoutMs: readInt(env.PAGESPEED_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    maxRetries: readInt(env.PAGESPEED_MAX_RETRIES, DEFAULT_MAX_RETRIES)
+  };
+}
+
+export function buildPagespeedUrl({ url, strategy, categories, apiKey }) {
+  const apiUrl = new URL(PAGESPEED_API_URL);
+  apiUrl.searchParams.set('url', url);
+  apiUrl.searchParams.set('key', apiKey);
+  apiUrl.searchParams.set('strategy', strategy);
+  categories.forEach(category => apiUrl.searchParams.append('category', category));
+  return apiUrl;
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+// Honor Retry-After when Google sends one, within the backoff ceiling
+function getBackoffMs(attempt, response) {
+  const retryAfterSeconds = parseInt(response?.headers.get('Retry-After'), 10);
+  const backoff = Number.isFinite(retryAfterSeconds)
+    ? retryAfterSeconds * 1000
+    : BASE_BACKOFF_MS * 2 ** attempt + Math.random() * 250;
+
+  return Math.min(backoff, MAX_BACKOFF_MS);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function fetchWithTimeout(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function isKeyFailure(status) {
+  return status === 403 || status === 429;
+}
+
+async function toUpstreamError(response) {
+  const errorData = await response.json().catch(() => ({}));
+  console.error('Google API Error:', errorData);
+
+  // 403 is a bad key or a used-up project; 429 "per day" is the daily quota
+  const exhausted = response.status === 403 ||
+    (response.status === 429 && /per day/i.test(errorData.error?.message || ''));
+
+  if (response.status === 403) {
+    return { code: 'upstream_quota', message: 'API key is invalid or quota exceeded', status: 403, exhausted };
+  }
+  if (response.status === 429) {
+    return { code: 'upstream_rate_limited', message: 'API rate limit exceeded. Please try again later', status: 429, exhausted };
+  }
+  return {
+    code: 'upstream_error',
+    message: errorData.error?.message || 'API error occurred',
+    status: response.status,
+    exhausted
+  };
+}
+
+export async function runPagespeed({ url, strategy, categories }, options) {
+  const { keyPool, timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES } = options;
+  const keys = await keyPool.getKeys();
+  let keyIndex = 0;
+  let attempt = 0;
+
+  for (;;) {
+    const apiKey = keys[keyIndex];
+    const apiUrl = buildPagespeedUrl({ url, strategy, categories, apiKey });
+
+    let response;
+    try {
+      response = await fetchWithTimeout(apiUrl, timeoutMs);
+    } catch (error) {
+      // A timed-out run would most likely time out again, so it isn't retried
+      if (error.name === 'AbortError') {
+        keyPool.record(apiKey, { code: 'upstream_timeout' });
+        return {
+          error: {
+            code: 'upstream_timeout',
+            message: 'PageSpeed Insights took too long to respond',
+            status: 504
+          }
+        };
+      }
+      keyPool.record(apiKey, { code: 'upstream_error' });
+      if (attempt >= maxRetries) {
+        console.error('PageSpeed request failed:', error);
+        return { error: { code: 'upstream_error', message: 'Could not reach PageSpeed Insights', status: 502 } };
+      }
+      await sleep(getBackoffMs(attempt++));
+      continue;
+    }
+
+    if (response.ok) {
+      keyPool.record(apiKey, { ok: true });
+      return { value: await response.json() };
+    }
+
+    const { exhausted, ...upstreamError } = await toUpstreamError(response);
+    keyPool.record(apiKey, { code: upstreamError.code, exhausted });
+
+    if (isKeyFailure(response.status) && keyIndex < keys.length - 1) {
+      console.error(`PageSpeed key ${keyIndex + 1} of ${keys.length} failed with ${response.status}, trying the next one`);
+      keyIndex++;
+      continue;
+    }
+
+    if (!isRetryable(response.status) || attempt >= maxRetries) {
+      return { error: upstreamError };
+    }
+
+    console.error(`PageSpeed attempt ${attempt + 1} failed with ${response.status}, retrying`);
+    await sleep(getBackoffMs(attempt++, response));
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Fetching pages from the function itself (sitemaps, page HTML)
+ * PSI fetches analyzed sites from Google's servers, but these requests leave
+ * from ours, so every hop, redirects included, goes through validatePublicUrl
+ * with DNS checks. Responses are size-capped and time out.
+ */
+
+import { validatePublicUrl } from './validation.js';
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Read at most maxBytes of the body, cancelling the rest of the download
+async function readCappedText(response, maxBytes) {
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let received = 0;
+
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) return text + decoder.decode();
+
+    const chunk = value.subarray(0, maxBytes - received);
+    received += chunk.byteLength;
+    text += decoder.decode(chunk, { stream: true });
+  }
+
+  await reader.cancel();
+  return text + decoder.decode();
+}
+
+// Fetch a text resource, following redirects by hand so each hop is validated.
+// Returns { url, text } or null for anything that isn't a usable 2xx response.
+export async function fetchPublicText(url) {
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const target = await validatePublicUrl(currentUrl, { resolveDns: true });
+    if (target.error) return null;
+
+    let response;
+    try {
+      response = await fetch(target.value, {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; WebsiteAnalysisBot/1.0)' }
+      });
+    } catch (error) {
+      console.error('Public fetch failed:', currentUrl, error);
+      return null;
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('Location')) {
+      currentUrl = new URL(response.headers.get('Location'), target.value).toString();
+      continue;
+    }
+
+    const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+    if (!response.ok || contentLength > MAX_BODY_BYTES) {
+      return null;
+    }
+
+    try {
+      return { url: target.value, text: await readCappedText(response, MAX_BODY_BYTES) };
+    } catch (error) {
+      console.error('Public fetch failed:', currentUrl, error);
+      return null;
+    }
+  }
+
+  return null;
+}
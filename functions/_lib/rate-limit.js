@@ -0,0 +1,87 @@
+/**
+ * Per-client sliding-window rate limiting
+ * Each client keeps a log of recent request timestamps in the RATE_LIMIT KV
+ * binding (in-memory fallback). Limits are written as "count/seconds" pairs,
+ * e.g. "6/600,30/86400" = 6 per 10 minutes and 30 per day.
+ *
+ * KV is eventually consistent, so bursts spread across data centers can slip a
+ * request or two past the limit. That's acceptable for quota protection.
+ */
+
+import { createStore } from './store.js';
+
+const RATE_LIMIT_BINDING = 'RATE_LIMIT';
+
+export function parseRateLimits(spec, fallback) {
+  const limits = String(spec || fallback || '')
+    .split(',')
+    .map(pair => pair.trim().split('/').map(part => parseInt(part, 10)))
+    .filter(([max, windowSeconds]) => max > 0 && windowSeconds > 0)
+    .map(([max, windowSeconds]) => ({ max, windowSeconds }));
+
+  if (limits.length === 0 && spec && fallback) {
+    console.error('Invalid rate limit spec, using default:', spec);
+    return parseRateLimits(fallback);
+  }
+
+  return limits;
+}
+
+export function getClientIp(request) {
+  return (
+    request.headers.get('CF-Connecting-IP') ||
+    (request.headers.get('X-Forwarded-For') || '').split(',')[0].trim() ||
+    'unknown'
+  );
+}
+
+/**
+ * Check and record a request against every configured window.
+ * Returns { allowed, retryAfter } where retryAfter is in whole seconds.
+ */
+export async function checkRateLimit(env, { scope, clientId, limits }) {
+  if (!limits || limits.length === 0) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const store = createStore(env, RATE_LIMIT_BINDING);
+  const key = `ratelimit:${scope}:${clientId}`;
+  const now = Date.now();
+  const longestWindowMs = Math.max(...limits.map(limit => limit.windowSeconds)) * 1000;
+
+  let timestamps = [];
+  try {
+    timestamps = (await store.get(key)) || [];
+  } catch (error) {
+    // Fail open: a storage hiccup shouldn't take the tool down
+    console.error('Rate limit read failed:', error);
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  timestamps = timestamps.filter(timestamp => now - timestamp < longestWindowMs);
+
+  let retryAfterMs = 0;
+  limits.forEach(({ max, windowSeconds }) => {
+    const windowMs = windowSeconds * 1000;
+    const inWindow = timestamps.filter(timestamp => now - timestamp < windowMs);
+
+    if (inWindow.length >= max) {
+      // The window frees up once the oldest request that still counts ages out
+      const oldestCounted = inWindow[inWindow.length - max];
+      retryAfterMs = Math.max(retryAfterMs, oldestCounted + windowMs - now);
+    }
+  });
+
+  if (retryAfterMs > 0) {
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)) };
+  }
+
+  timestamps.push(now);
+  try {
+    await store.put(key, timestamps, Math.ceil(longestWindowMs / 1000));
+  } catch (error) {
+    console.error('Rate limit write failed:', error);
+  }
+
+  return { allowed: true, retryAfter: 0 };
+}
@@ -0,0 +1,188 @@
+/**
+ * Shareable Lighthouse reports
+ * Each fresh analysis is saved as a compact, PSI-shaped summary under a short
+ * ID so the widget can render it again from GET /api/lighthouse/:id without
+ * re-running PageSpeed Insights. Audit detail tables are trimmed to their
+ * first rows to keep entries small; the final screenshot and filmstrip are kept.
+ * Local SEO checks are saved alongside under their own ID, since they run as
+ * a separate request (see api/lighthouse/local-seo.js).
+ */
+
+import { createShortId } from './ids.js';
+import { createStore } from './store.js';
+
+const REPORTS_BINDING = 'LIGHTHOUSE_REPORTS';
+const DEFAULT_TTL_DAYS = 90;
+const MAX_DETAIL_ITEMS = 10;
+const MAX_DETAIL_STRING = 500;
+export const REPORT_ID_LENGTH = 10;
+
+function getReportTtl(env) {
+  const days = parseInt(env.REPORT_TTL_DAYS, 10);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS) * 24 * 60 * 60;
+}
+
+function compactAudit(audit) {
+  const compact = {
+    id: audit.id,
+    title: audit.title,
+    description: audit.description,
+    score: audit.score,
+    scoreDisplayMode: audit.scoreDisplayMode
+  };
+
+  if (audit.displayValue) compact.displayValue = audit.displayValue;
+  if (audit.numericValue !== undefined) compact.numericValue = audit.numericValue;
+
+  const details = compactDetails(audit.details);
+  if (details) compact.details = details;
+
+  return compact;
+}
+
+// Keep strings (truncated) and the flat fields of node/url/code values
+function compactDetailValue(value) {
+  if (typeof value === 'string') return value.slice(0, MAX_DETAIL_STRING);
+  if (!value || typeof value !== 'object') return value;
+
+  const compact = {};
+  Object.entries(value).forEach(([key, field]) => {
+    if (typeof field === 'string') compact[key] = field.slice(0, MAX_DETAIL_STRING);
+    else if (typeof field === 'number' || typeof field === 'boolean') compact[key] = field;
+  });
+  return compact;
+}
+
+// Savings estimates plus the first rows of the affected-items table
+function compactDetails(details) {
+  if (!details) return undefined;
+
+  if (details.type === 'screenshot') {
+    return { type: details.type, timing: details.timing, data: details.data };
+  }
+
+  if (details.type === 'filmstrip') {
+    return {
+      type: details.type,
+      items: (details.items || []).map(({ timing, data }) => ({ timing, data }))
+    };
+  }
+
+  const compact = {};
+  if (details.overallSavingsMs) compact.overallSavingsMs = details.overallSavingsMs;
+  if (details.overallSavingsBytes) compact.overallSavingsBytes = details.overallSavingsBytes;
+
+  // `list` details wrap one or more tables; the first one is enough here
+  const table = details.type === 'list'
+    ? (details.items || []).find(item => item.type === 'table')
+    : details;
+
+  if (table && (table.type === 'table' || table.type === 'opportunity') && table.items?.length) {
+    const headings = (table.headings || [])
+      .map(heading => ({
+        key: heading.key,
+        label: heading.label || heading.text,
+        valueType: heading.valueType || heading.itemType
+      }))
+      .filter(heading => heading.valueType !== 'thumbnail');
+
+    compact.type = table.type;
+    compact.headings = headings;
+    compact.items = table.items.slice(0, MAX_DETAIL_ITEMS).map(item => {
+      const row = {};
+      headings.forEach(({ key }) => {
+        if (key) row[key] = compactDetailValue(item[key]);
+      });
+      return row;
+    });
+    // Not part of the PSI format: lets the widget say how many rows were cut
+    compact.itemCount = table.items.length;
+  }
+
+  return Object.keys(compact).length > 0 ? compact : undefined;
+}
+
+function compactCategory(category) {
+  return {
+    id: category.id,
+    title: category.title,
+    score: category.score,
+    auditRefs: (category.auditRefs || []).map(ref => ({ id: ref.id, weight: ref.weight, group: ref.group }))
+  };
+}
+
+function compactExperience(experience) {
+  if (!experience) return undefined;
+
+  return {
+    metrics: experience.metrics,
+    overall_category: experience.overall_category,
+    origin_fallback: experience.origin_fallback
+  };
+}
+
+// Reduce a PageSpeed Insights response to what the widget needs to render it
+export function compactResult(data) {
+  const lighthouseResult = data.lighthouseResult || {};
+  const categories = {};
+  const audits = {};
+
+  Object.entries(lighthouseResult.categories || {}).forEach(([key, category]) => {
+    categories[key] = compactCategory(category);
+  });
+
+  Object.entries(lighthouseResult.audits || {}).forEach(([id, audit]) => {
+    audits[id] = compactAudit(audit);
+  });
+
+  return {
+    id: data.id,
+    analysisUTCTimestamp: data.analysisUTCTimestamp,
+    lighthouseResult: {
+      requestedUrl: lighthouseResult.requestedUrl,
+      finalUrl: lighthouseResult.finalUrl,
+      fetchTime: lighthouseResult.fetchTime,
+      configSettings: { formFactor: lighthouseResult.configSettings?.formFactor },
+      categories,
+      audits
+    },
+    loadingExperience: compactExperience(data.loadingExperience),
+    originLoadingExperience: compactExperience(data.originLoadingExperience)
+  };
+}
+
+// IDs are picked before saving so responses needn't wait on the write
+export function createReportId() {
+  return createShortId(REPORT_ID_LENGTH);
+}
+
+export async function saveReport(env, id, data, { url, strategy }) {
+  const store = createStore(env, REPORTS_BINDING);
+
+  await store.put(`report:${id}`, {
+    url,
+    strategy,
+    createdAt: new Date().toISOString(),
+    data: compactResult(data)
+  }, getReportTtl(env));
+}
+
+export async function loadReport(env, id) {
+  const store = createStore(env, REPORTS_BINDING);
+  return store.get(`report:${id}`);
+}
+
+// Local SEO results are already small, so they're stored as returned
+export async function saveLocalSeoReport(env, id, result) {
+  const store = createStore(env, REPORTS_BINDING);
+
+  await store.put(`localseo:${id}`, {
+    createdAt: new Date().toISOString(),
+    data: result
+  }, getReportTtl(env));
+}
+
+export async function loadLocalSeoReport(env, id) {
+  const store = createStore(env, REPORTS_BINDING);
+  return store.get(`localseo:${id}`);
+}
@@ -0,0 +1,87 @@
+/**
+ * PageSpeed Insights result cache
+ * Keyed on normalized URL + strategy + categories so repeat runs of the same
+ * site don't burn API quota or make the visitor wait another 30 seconds
+ */
+
+import { createStore } from './store.js';
+
+const CACHE_BINDING = 'LIGHTHOUSE_CACHE';
+const CACHE_VERSION = 'v1';
+const DEFAULT_TTL_SECONDS = 6 * 60 * 60; // 6 hours
+
+// Normalize a URL so trivial differences (case, default port, fragment,
+// trailing slash) map to the same cache entry
+export function normalizeUrl(url) {
+  const parsed = new URL(url);
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  if ((parsed.protocol === 'https:' && parsed.port === '443') ||
+      (parsed.protocol === 'http:' && parsed.port === '80')) {
+    parsed.port = '';
+  }
+
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+export async function sha256Hex(input) {
+  const bytes = new TextEncoder().encode(input);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Hash the key parts so long URLs stay within KV's 512 byte key limit
+export async function buildCacheKey({ url, strategy, categories }) {
+  const parts = [
+    normalizeUrl(url),
+    strategy,
+    [...categories].sort().join(',')
+  ];
+  return `lighthouse:${CACHE_VERSION}:${await sha256Hex(parts.join('|'))}`;
+}
+
+export function getCacheTtl(env) {
+  const ttl = parseInt(env.LIGHTHOUSE_CACHE_TTL, 10);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+export function createResultCache(env) {
+  const store = createStore(env, CACHE_BINDING);
+  const ttl = getCacheTtl(env);
+
+  return {
+    // TTL of 0 disables caching entirely
+    enabled: ttl > 0,
+
+    async get(key) {
+      if (ttl === 0) return null;
+
+      try {
+        return await store.get(key);
+      } catch (error) {
+        console.error('Cache read failed:', error);
+        return null;
+      }
+    },
+
+    async put(key, data) {
+      if (ttl === 0) return null;
+
+      const entry = { cachedAt: new Date().toISOString(), data };
+      try {
+        await store.put(key, entry, ttl);
+      } catch (error) {
+        console.error('Cache write failed:', error);
+      }
+      return entry;
+    }
+  };
+}
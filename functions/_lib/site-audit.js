@@ -0,0 +1,123 @@
+/**
+ * Site audit aggregation
+ * Reduces each page's PageSpeed Insights result to its scores and failing
+ * audits, then combines the pages into site-wide averages, the worst pages
+ * and the issues that recur across pages.
+ */
+
+// PSI category id -> widget score key
+const SCORE_KEYS = {
+  performance: 'performance',
+  accessibility: 'accessibility',
+  'best-practices': 'bestPractices',
+  seo: 'seo'
+};
+
+// Audits that report no pass/fail result of their own (same as the widget)
+const UNSCORED_DISPLAY_MODES = ['informative', 'manual', 'notApplicable', 'error'];
+
+const WORST_PAGES_COUNT = 3;
+const MAX_RECURRING_ISSUES = 15;
+
+function isFailingAudit(audit) {
+  return Boolean(audit) &&
+    typeof audit.score === 'number' &&
+    audit.score < 1 &&
+    !UNSCORED_DISPLAY_MODES.includes(audit.scoreDisplayMode);
+}
+
+// Run async tasks with at most `limit` in flight; outcomes keep task order
+export async function runWithConcurrency(tasks, limit) {
+  const outcomes = new Array(tasks.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < tasks.length) {
+      const index = nextIndex++;
+      try {
+        outcomes[index] = { value: await tasks[index]() };
+      } catch (error) {
+        outcomes[index] = { error };
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, tasks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return outcomes;
+}
+
+// Scores plus failing audits (weighted ones only, so diagnostics don't flood
+// the recurring issues list) for one page
+export function summarizePage(url, data) {
+  const lighthouseResult = data.lighthouseResult || {};
+  const categories = lighthouseResult.categories || {};
+  const audits = lighthouseResult.audits || {};
+  const page = { url };
+  const failing = new Map();
+
+  Object.entries(SCORE_KEYS).forEach(([categoryId, key]) => {
+    const category = categories[categoryId];
+    page[key] = typeof category?.score === 'number' ? Math.round(category.score * 100) : null;
+
+    (category?.auditRefs || [])
+      .filter(ref => ref.weight > 0 && isFailingAudit(audits[ref.id]))
+      .forEach(ref => {
+        const { title, description } = audits[ref.id];
+        const entry = failing.get(ref.id) || { id: ref.id, title, description, categories: [] };
+        entry.categories.push(key);
+        failing.set(ref.id, entry);
+      });
+  });
+
+  page.failingAudits = [...failing.values()];
+  return page;
+}
+
+function average(values) {
+  const scores = values.filter(value => typeof value === 'number');
+  return scores.length > 0
+    ? Math.round(scores.reduce((sum, value) => sum + value, 0) / scores.length)
+    : null;
+}
+
+function getPageAverage(page) {
+  return average(Object.values(SCORE_KEYS).map(key => page[key]));
+}
+
+/**
+ * Combine summarized pages (failed ones carry `error` instead of scores)
+ * into { averages, worstPages, recurringIssues }.
+ */
+export function aggregateSiteAudit(pages) {
+  const scoredPages = pages.filter(page => !page.error);
+  const averages = {};
+
+  Object.values(SCORE_KEYS).forEach(key => {
+    averages[key] = average(scoredPages.map(page => page[key]));
+  });
+
+  const worstPages = scoredPages
+    .map(page => ({ url: page.url, average: getPageAverage(page) }))
+    .filter(page => page.average !== null)
+    .sort((a, b) => a.average - b.average)
+    .slice(0, WORST_PAGES_COUNT);
+
+  // Issues failing on two or more pages are usually template-level fixes
+  const issues = new Map();
+  scoredPages.forEach(page => {
+    page.failingAudits.forEach(audit => {
+      const issue = issues.get(audit.id) || { ...audit, pages: [] };
+      issue.pages.push(page.url);
+      issues.set(audit.id, issue);
+    });
+  });
+
+  const recurringIssues = [...issues.values()]
+    .filter(issue => issue.pages.length > 1 || scoredPages.length === 1)
+    .sort((a, b) => b.pages.length - a.pages.length)
+    .slice(0, MAX_RECURRING_ISSUES)
+    .map(issue => ({ ...issue, pageCount: issue.pages.length }));
+
+  return { averages, worstPages, recurringIssues };
+}
@@ -0,0 +1,121 @@
+/**
+ * Page discovery for site audits
+ * Reads the target's sitemap (robots.txt Sitemap: lines, then /sitemap.xml,
+ * following sitemap indexes) and falls back to the same-origin
+ * links on the submitted page when no sitemap lists any pages.
+ *
+ * Unlike PSI runs these requests come from the function itself, so they go
+ * through fetchPublicText (see _lib/public-fetch.js).
+ */
+
+import { decodeEntities, getLinkHrefs } from './html.js';
+import { fetchPublicText } from './public-fetch.js';
+import { normalizeUrl } from './result-cache.js';
+
+const MAX_SITEMAP_FETCHES = 5;
+
+// Sitemaps sometimes list downloads and images; PSI can only audit pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|ico|zip|mp4|mp3|xml|txt|css|js|json)$/i;
+
+// www.example.com and example.com count as the same site
+function getSiteHost(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+export function parseSitemap(xml) {
+  const locs = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi)]
+    .map(match => decodeEntities(match[1]));
+
+  return /<sitemapindex[\s>]/i.test(xml)
+    ? { pages: [], sitemaps: locs }
+    : { pages: locs, sitemaps: [] };
+}
+
+// Links on a page, resolved against it; hrefs that aren't URLs are dropped
+export function parseLinks(html, baseUrl) {
+  return getLinkHrefs(html).flatMap(href => {
+    try {
+      return [new URL(href, baseUrl).toString()];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// Keep unique same-site http(s) pages, with the submitted URL first
+function collectPages(startUrl, candidates, limit) {
+  const siteHost = getSiteHost(startUrl);
+  const pages = new Map([[normalizeUrl(startUrl), startUrl]]);
+
+  for (const candidate of candidates) {
+    if (pages.size >= limit) break;
+
+    let parsed;
+    try {
+      parsed = new URL(candidate);
+    } catch {
+      continue;
+    }
+
+    const isPage = (parsed.protocol === 'http:' || parsed.protocol === 'https:') &&
+      getSiteHost(parsed.toString()) === siteHost &&
+      !NON_PAGE_EXTENSIONS.test(parsed.pathname);
+    if (!isPage) continue;
+
+    parsed.hash = '';
+    const key = normalizeUrl(parsed.toString());
+    if (!pages.has(key)) {
+      pages.set(key, parsed.toString());
+    }
+  }
+
+  return [...pages.values()].slice(0, limit);
+}
+
+async function getSitemapUrls(origin) {
+  const robots = await fetchPublicText(`${origin}/robots.txt`);
+  const declared = robots
+    ? [...robots.text.matchAll(/^\s*sitemap:\s*(\S+)/gim)].map(match => match[1])
+    : [];
+
+  return declared.length > 0 ? declared : [`${origin}/sitemap.xml`];
+}
+
+async function readSitemapPages(sitemapUrls, limit) {
+  const pages = [];
+  const queue = [...sitemapUrls];
+  let fetched = 0;
+
+  // Sitemap indexes queue their child sitemaps, within MAX_SITEMAP_FETCHES requests
+  while (queue.length > 0 && pages.length < limit && fetched < MAX_SITEMAP_FETCHES) {
+    const sitemap = await fetchPublicText(queue.shift());
+    fetched++;
+    if (!sitemap) continue;
+
+    const parsed = parseSitemap(sitemap.text);
+    pages.push(...parsed.pages);
+    queue.push(...parsed.sitemaps);
+  }
+
+  return pages;
+}
+
+/**
+ * Find up to `limit` pages of the site `url` belongs to.
+ * Returns { source: 'sitemap' | 'links' | 'page', pages } where `pages`
+ * always starts with `url` itself.
+ */
+export async function discoverSitePages(url, { limit }) {
+  const origin = new URL(url).origin;
+
+  const sitemapPages = await readSitemapPages(await getSitemapUrls(origin), limit * 2);
+  if (sitemapPages.length > 0) {
+    return { source: 'sitemap', pages: collectPages(url, sitemapPages, limit) };
+  }
+
+  const page = await fetchPublicText(url);
+  const links = page ? parseLinks(page.text, page.url) : [];
+  const pages = collectPages(url, links, limit);
+
+  return { source: pages.length > 1 ? 'links' : 'page', pages };
+}
@@ -0,0 +1,73 @@
+/**
+ * Key/value storage helper for Pages Functions
+ * Wraps a KV namespace binding and falls back to an in-memory Map when the
+ * binding isn't configured (local `wrangler pages dev` runs, previews)
+ */
+
+// One Map per binding name, shared across requests handled by the same isolate
+const memoryStores = new Map();
+
+// KV rejects expirationTtl values below 60 seconds
+const MIN_KV_TTL_SECONDS = 60;
+
+function getMemoryStore(bindingName) {
+  if (!memoryStores.has(bindingName)) {
+    memoryStores.set(bindingName, new Map());
+  }
+  return memoryStores.get(bindingName);
+}
+
+export function createStore(env, bindingName) {
+  const kv = env && env[bindingName];
+
+  if (kv && typeof kv.get === 'function') {
+    return {
+      persistent: true,
+
+      async get(key) {
+        return kv.get(key, 'json');
+      },
+
+      async put(key, value, ttlSeconds) {
+        const options = ttlSeconds
+          ? { expirationTtl: Math.max(MIN_KV_TTL_SECONDS, Math.round(ttlSeconds)) }
+          : {};
+        await kv.put(key, JSON.stringify(value), options);
+      },
+
+      async delete(key) {
+        await kv.delete(key);
+      }
+    };
+  }
+
+  const memory = getMemoryStore(bindingName);
+
+  return {
+    persistent: false,
+
+    async get(key) {
+      const entry = memory.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        memory.delete(key);
+        return null;
+      }
+
+      return JSON.parse(entry.value);
+    },
+
+    async put(key, value, ttlSeconds) {
+      // Serialize like KV does so callers never share object references
+      memory.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+      });
+    },
+
+    async delete(key) {
+      memory.delete(key);
+    }
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Input validation for URLs and options submitted to the Pages Functions
+ * Every rejection carries a stable `code` the widgets map to friendly copy.
+ *
+ * Validators return either { value } or { error: { code, message } }.
+ */
+
+export const MAX_URL_LENGTH = 2048;
+export const LIGHTHOUSE_STRATEGIES = ['mobile', 'desktop'];
+export const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo'];
+
+// Reserved or internal-only names (RFC 2606, RFC 6761, common LAN suffixes)
+const BLOCKED_HOST_SUFFIXES = [
+  'localhost', 'local', 'internal', 'intranet', 'lan', 'home', 'corp',
+  'home.arpa', 'test', 'example', 'invalid'
+];
+
+const DNS_OVER_HTTPS_URL = 'https://cloudflare-dns.com/dns-query';
+
+function invalid(code, message) {
+  return { error: { code, message } };
+}
+
+function isIpv4Literal(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname);
+}
+
+function parseIpv4(address) {
+  const parts = address.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+    return null;
+  }
+  return parts;
+}
+
+export function isPrivateIpv4(address) {
+  const parts = parseIpv4(address);
+  if (!parts) return true;
+
+  const [a, b] = parts;
+  return (
+    a === 0 ||                            // "this" network
+    a === 10 ||                           // private
+    a === 127 ||                          // loopback
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) ||           // link-local / cloud metadata
+    (a === 172 && b >= 16 && b <= 31) ||  // private
+    (a === 192 && b === 0) ||             // IETF protocol assignments
+    (a === 192 && b === 168) ||           // private
+    (a === 198 && (b === 18 || b === 19)) || // benchmarking
+    a >= 224                              // multicast and reserved
+  );
+}
+
+export function isPrivateIpv6(address) {
+  const normalized = address.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (normalized === '::' || normalized === '::1') return true;
+
+  // IPv4-mapped addresses (::ffff:10.0.0.1)
+  const mapped = normalized.match(/^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/);
+  if (mapped) return isPrivateIpv4(mapped[1]);
+
+  return (
+    /^f[cd][0-9a-f]{2}:/.test(normalized) ||  // unique local fc00::/7
+    /^fe[89ab][0-9a-f]:/.test(normalized) ||  // link-local fe80::/10
+    /^ff[0-9a-f]{2}:/.test(normalized)        // multicast
+  );
+}
+
+/**
+ * Validate a public http(s) URL. IP literals are rejected outright; pass
+ * { resolveDns: true } to also reject hostnames that resolve to private ranges.
+ */
+export async function validatePublicUrl(input, { resolveDns = false } = {}) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return invalid('url_required', 'URL is required');
+  }
+
+  const raw = input.trim();
+
+  if (raw.length > MAX_URL_LENGTH) {
+    return invalid('url_too_long', `URL must be ${MAX_URL_LENGTH} characters or fewer`);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return invalid('url_invalid', 'URL is not valid');
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return invalid('url_protocol_not_allowed', 'Only http and https URLs can be analyzed');
+  }
+
+  if (parsed.username || parsed.password) {
+    return invalid('url_invalid', 'URLs with embedded credentials are not allowed');
+  }
+
+  if (parsed.port && parsed.port !== '80' && parsed.port !== '443') {
+    return invalid('url_port_not_allowed', 'Only standard web ports can be analyzed');
+  }
+
+  // The URL parser already turns decimal/hex/octal IPv4 forms into dotted quads
+  const hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+
+  if (isIpv4Literal(hostname) || hostname.startsWith('[')) {
+    return invalid('url_host_not_allowed', 'IP addresses cannot be analyzed, please use a domain name');
+  }
+
+  const isBlockedName = !hostname.includes('.') ||
+    BLOCKED_HOST_SUFFIXES.some(suffix => hostname === suffix || hostname.endsWith(`.${suffix}`));
+
+  if (isBlockedName) {
+    return invalid('url_host_not_allowed', 'This address is not publicly reachable');
+  }
+
+  if (resolveDns && await resolvesToPrivateAddress(hostname)) {
+    return invalid('url_host_not_allowed', 'This address is not publicly reachable');
+  }
+
+  return { value: parsed.toString() };
+}
+
+// Look up A/AAAA records over DNS-over-HTTPS; lookup failures are treated as
+// public so a resolver outage doesn't take the tool down
+export async function resolvesToPrivateAddress(hostname) {
+  const lookups = [['A', isPrivateIpv4], ['AAAA', isPrivateIpv6]].map(async ([type, isPrivate]) => {
+    try {
+      const response = await fetch(
+        `${DNS_OVER_HTTPS_URL}?name=${encodeURIComponent(hostname)}&type=${type}`,
+        { headers: { Accept: 'application/dns-json' } }
+      );
+      if (!response.ok) return false;
+
+      const result = await response.json();
+      return (result.Answer || [])
+        .filter(answer => answer.type === (type === 'A' ? 1 : 28))
+        .some(answer => isPrivate(answer.data));
+    } catch (error) {
+      console.error('DNS lookup failed:', error);
+      return false;
+    }
+  });
+
+  return (await Promise.all(lookups)).some(Boolean);
+}
+
+export function validateStrategy(strategy, fallback = 'desktop') {
+  if (strategy === undefined || strategy === null) {
+    return { value: fallback };
+  }
+
+  if (!LIGHTHOUSE_STRATEGIES.includes(strategy)) {
+    return invalid('strategy_invalid', `Strategy must be one of: ${LIGHTHOUSE_STRATEGIES.join(', ')}`);
+  }
+
+  return { value: strategy };
+}
+
+export function validateCategories(categories) {
+  if (categories === undefined || categories === null) {
+    return { value: [...LIGHTHOUSE_CATEGORIES] };
+  }
+
+  const isValid = Array.isArray(categories) &&
+    categories.length > 0 &&
+    categories.every(category => LIGHTHOUSE_CATEGORIES.includes(category));
+
+  if (!isValid) {
+    return invalid('categories_invalid', `Categories must be any of: ${LIGHTHOUSE_CATEGORIES.join(', ')}`);
+  }
+
+  return { value: [...new Set(categories)] };
+}
+
+// Validate the body of a POST /api/lighthouse request
+export async function validateAnalysisRequest(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return invalid('invalid_body', 'Request body must be a JSON object');
+  }
+
+  const url = await validatePublicUrl(data.url, { resolveDns: true });
+  if (url.error) return url;
+
+  const strategy = validateStrategy(data.strategy);
+  if (strategy.error) return strategy;
+
+  const categories = validateCategories(data.categories);
+  if (categories.error) return categories;
+
+  return {
+    value: {
+      url: url.value,
+      strategy: strategy.value,
+      categories: categories.value,
+      fresh: data.fresh === true
+    }
+  };
+}
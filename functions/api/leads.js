@@ -0,0 +1,199 @@
+/**
+ * Cloudflare Pages Function for website analysis leads
+ * Validates lead submissions from the Lighthouse widget's lead-capture gate,
+ * stores them with the attached Lighthouse summary (LEADS KV binding) and
+ * forwards them to LEAD_WEBHOOK_URL when configured. Without the LEADS binding
+ * submissions are refused with a 503 rather than kept in memory and lost.
+ *
+ * Bot checks: a hidden honeypot field must stay empty and the form must have
+ * been on screen for at least LEADS_MIN_FILL_MS. Suspected bots get a normal
+ * success response so they have nothing to tune against, but nothing is stored.
+ */
+
+import { createShortId } from '../_lib/ids.js';
+import { errorResponse, getCorsHeaders, handlePreflight, isOriginAllowed, jsonResponse } from '../_lib/http.js';
+import { checkRateLimit, getClientIp, parseRateLimits } from '../_lib/rate-limit.js';
+import { createStore } from '../_lib/store.js';
+
+const LEADS_BINDING = 'LEADS';
+const DEFAULT_RATE_LIMITS = '5/3600';
+const DEFAULT_MIN_FILL_MS = 3000;
+const MAX_FORM_AGE_MS = 24 * 60 * 60 * 1000;
+
+const SCORE_KEYS = ['performance', 'accessibility', 'bestPractices', 'seo', 'localSeo'];
+const SUMMARY_STRATEGIES = ['mobile', 'desktop', 'both'];
+
+function cleanString(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function validateLead(data) {
+  const name = cleanString(data.name, 100);
+  const email = cleanString(data.email, 254).toLowerCase();
+  const phone = cleanString(data.phone, 30);
+
+  if (!name) {
+    return { error: { code: 'name_required', message: 'Name is required' } };
+  }
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) {
+    return { error: { code: 'email_invalid', message: 'A valid email address is required' } };
+  }
+
+  const phoneDigits = phone.replace(/\D/g, '');
+  if (phone && (phoneDigits.length < 7 || phoneDigits.length > 15 || /[^\d\s()+.-]/.test(phone))) {
+    return { error: { code: 'phone_invalid', message: 'Phone number is not valid' } };
+  }
+
+  return { value: { name, email, phone } };
+}
+
+// Keep only the fields we expect from the widget's Lighthouse summary
+function sanitizeSummary(summary) {
+  if (!summary || typeof summary !== 'object') return null;
+
+  const scores = {};
+  SCORE_KEYS.forEach(key => {
+    const score = Number(summary.scores?.[key]);
+    if (Number.isFinite(score)) {
+      scores[key] = Math.min(100, Math.max(0, Math.round(score)));
+    }
+  });
+
+  return {
+    url: cleanString(summary.url, 2048),
+    strategy: SUMMARY_STRATEGIES.includes(summary.strategy) ? summary.strategy : null,
+    analyzedAt: cleanString(summary.analyzedAt, 40),
+    scores,
+    competitors: Array.isArray(summary.competitors)
+      ? summary.competitors.slice(0, 2).map(url => cleanString(url, 2048))
+      : [],
+    topIssues: Array.isArray(summary.topIssues)
+      ? summary.topIssues.slice(0, 10).map(issue => cleanString(issue, 200)).filter(Boolean)
+      : []
+  };
+}
+
+function looksLikeBot(data, env) {
+  if (typeof data.honeypot === 'string' && data.honeypot.trim() !== '') {
+    return 'honeypot';
+  }
+
+  const minFillMs = parseInt(env.LEADS_MIN_FILL_MS, 10) || DEFAULT_MIN_FILL_MS;
+  const elapsed = Date.now() - Number(data.formRenderedAt);
+
+  if (!Number.isFinite(elapsed) || elapsed < minFillMs || elapsed > MAX_FORM_AGE_MS) {
+    return 'timing';
+  }
+
+  return null;
+}
+
+async function forwardToWebhook(env, lead) {
+  if (!env.LEAD_WEBHOOK_URL) return;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.LEAD_WEBHOOK_SECRET) {
+    headers['X-Webhook-Secret'] = env.LEAD_WEBHOOK_SECRET;
+  }
+
+  try {
+    const response = await fetch(env.LEAD_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(lead)
+    });
+    if (!response.ok) {
+      console.error('Lead webhook error:', response.status);
+    }
+  } catch (error) {
+    console.error('Lead webhook failed:', error);
+  }
+}
+
+// Handle preflight requests
+export async function onRequestOptions(context) {
+  return handlePreflight(context.request, context.env, 'POST, OPTIONS');
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const corsHeaders = getCorsHeaders(request, env, 'POST, OPTIONS');
+
+  if (!isOriginAllowed(request, env)) {
+    return errorResponse('origin_not_allowed', 'Origin not allowed', { status: 403 });
+  }
+
+  // Leads are the one thing not worth an in-memory fallback
+  const store = createStore(env, LEADS_BINDING);
+  if (!store.persistent) {
+    console.error('Lead submission refused: the LEADS KV binding is not configured');
+    return errorResponse('leads_unavailable', 'Lead submissions are temporarily unavailable', {
+      status: 503,
+      headers: corsHeaders
+    });
+  }
+
+  try {
+    let data;
+    try {
+      data = await request.json();
+    } catch {
+      return errorResponse('invalid_json', 'Request body must be valid JSON', { status: 400, headers: corsHeaders });
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return errorResponse('invalid_body', 'Request body must be a JSON object', { status: 400, headers: corsHeaders });
+    }
+
+    const botReason = looksLikeBot(data, env);
+    if (botReason) {
+      console.warn('Dropped lead submission:', botReason);
+      return jsonResponse({ ok: true }, { headers: corsHeaders });
+    }
+
+    const validation = validateLead(data);
+    if (validation.error) {
+      return errorResponse(validation.error.code, validation.error.message, { status: 400, headers: corsHeaders });
+    }
+
+    // Only well-formed submissions count, so typos don't lock anyone out
+    const rateLimit = await checkRateLimit(env, {
+      scope: 'leads',
+      clientId: getClientIp(request),
+      limits: parseRateLimits(env.LEADS_RATE_LIMITS, DEFAULT_RATE_LIMITS)
+    });
+
+    if (!rateLimit.allowed) {
+      return errorResponse('rate_limited', 'Too many submissions. Please try again later', {
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(rateLimit.retryAfter) },
+        extra: { retryAfter: rateLimit.retryAfter }
+      });
+    }
+
+    const lead = {
+      id: createShortId(),
+      ...validation.value,
+      source: cleanString(data.source, 200) || null,
+      lighthouse: sanitizeSummary(data.summary),
+      submittedAt: new Date().toISOString()
+    };
+
+    // Sortable by submission time when listing the namespace
+    await store.put(`lead:${lead.submittedAt}:${lead.id}`, lead);
+
+    const webhook = forwardToWebhook(env, lead);
+    if (typeof context.waitUntil === 'function') {
+      context.waitUntil(webhook);
+    } else {
+      await webhook;
+    }
+
+    return jsonResponse({ ok: true, id: lead.id }, { headers: corsHeaders });
+
+  } catch (error) {
+    console.error('Function error:', error);
+    return errorResponse('internal_error', 'Internal server error', { status: 500, headers: corsHeaders });
+  }
+}
@@ -1,98 +1,131 @@
 /**
  * Cloudflare Pages Function for Lighthouse Widget
- * Proxies requests to Google PageSpeed Insights API with server-side API key
+ * Proxies requests to Google PageSpeed Insights API with server-side API keys
+ * (a comma-separated pool with failover, see _lib/key-pool.js)
+ * Upstream calls time out after PAGESPEED_TIMEOUT_MS and retry transient errors
+ * Results are cached per URL/strategy/categories (see LIGHTHOUSE_CACHE_TTL)
+ * Uncached runs are rate limited per client IP (see LIGHTHOUSE_RATE_LIMITS)
+ * Submitted URLs must be public http(s) addresses (see _lib/validation.js)
+ * Fresh runs are saved as shareable reports (GET /api/lighthouse/:id) and
+ * recorded in the domain's score history (GET /api/lighthouse/history)
  */
 
+import { buildCacheKey, createResultCache } from '../_lib/result-cache.js';
+import { storeFreshResults } from '../_lib/fresh-results.js';
+import { createKeyPool } from '../_lib/key-pool.js';
+import { getPagespeedOptions, runPagespeed } from '../_lib/pagespeed.js';
+import { errorResponse, getCorsHeaders, handlePreflight, isOriginAllowed, jsonResponse } from '../_lib/http.js';
+import { checkRateLimit, getClientIp, parseRateLimits } from '../_lib/rate-limit.js';
+import { validateAnalysisRequest } from '../_lib/validation.js';
+
+// 6 analyses per 10 minutes and 30 per day for each IP
+const DEFAULT_RATE_LIMITS = '6/600,30/86400';
+
+// Handle preflight requests
+export async function onRequestOptions(context) {
+  return handlePreflight(context.request, context.env, 'POST, OPTIONS');
+}
+
 export async function onRequestPost(context) {
   const { request, env } = context;
-  
+
   // CORS headers
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
-
-  // Handle preflight requests
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
+  const corsHeaders = getCorsHeaders(request, env, 'POST, OPTIONS');
+
+  if (!isOriginAllowed(request, env)) {
+    return errorResponse('origin_not_allowed', 'Origin not allowed', { status: 403 });
   }
 
   try {
-    // Get the API key from environment variables
-    const apiKey = env.GOOGLE_PAGESPEED_API_KEY;
-    
-    if (!apiKey) {
-      return new Response(
-        JSON.stringify({ error: 'API key not configured' }), 
-        { 
-          status: 500, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        }
-      );
+    // Get the API keys from environment variables
+    const keyPool = createKeyPool(env);
+
+    if (keyPool.size === 0) {
+      return errorResponse('api_key_missing', 'API key not configured', { status: 500, headers: corsHeaders });
     }
 
-    // Parse request body
-    const requestData = await request.json();
-    const { url, strategy = 'desktop', categories = ['performance', 'accessibility', 'best-practices', 'seo'] } = requestData;
-
-    if (!url) {
-      return new Response(
-        JSON.stringify({ error: 'URL is required' }), 
-        { 
-          status: 400, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        }
-      );
+    // Parse and validate request body
+    let requestData;
+    try {
+      requestData = await request.json();
+    } catch {
+      return errorResponse('invalid_json', 'Request body must be valid JSON', { status: 400, headers: corsHeaders });
     }
 
-    // Build Google PageSpeed Insights API URL
-    const googleApiUrl = `https://www.googleapis.com/pagespeedonline/v5/runPagespeed?url=${encodeURIComponent(url)}&key=${apiKey}&strategy=${strategy}&category=${categories.join('&category=')}`;
-
-    // Call Google PageSpeed Insights API
-    const response = await fetch(googleApiUrl);
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Google API Error:', errorData);
-      
-      let errorMessage = 'API error occurred';
-      if (response.status === 403) {
-        errorMessage = 'API key is invalid or quota exceeded';
-      } else if (response.status === 429) {
-        errorMessage = 'API rate limit exceeded. Please try again later';
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message;
+    const validation = await validateAnalysisRequest(requestData);
+    if (validation.error) {
+      return errorResponse(validation.error.code, validation.error.message, { status: 400, headers: corsHeaders });
+    }
+
+    const { url, strategy, categories, fresh } = validation.value;
+
+    // Serve a cached result unless the client asked for a fresh run
+    const cache = createResultCache(env);
+    const cacheKey = await buildCacheKey({ url, strategy, categories });
+
+    if (!fresh) {
+      const cachedEntry = await cache.get(cacheKey);
+      if (cachedEntry) {
+        return jsonResponse(
+          { ...cachedEntry.data, cached: true, cachedAt: cachedEntry.cachedAt },
+          { headers: corsHeaders }
+        );
       }
-      
-      return new Response(
-        JSON.stringify({ error: errorMessage }), 
-        { 
-          status: response.status, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        }
-      );
     }
 
-    // Get the response data
-    const data = await response.json();
-    
-    // Return the data to the client
-    return new Response(
-      JSON.stringify(data), 
-      { 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    // Only runs that hit Google count against the client's limit
+    const rateLimit = await checkRateLimit(env, {
+      scope: 'lighthouse',
+      clientId: getClientIp(request),
+      limits: parseRateLimits(env.LIGHTHOUSE_RATE_LIMITS, DEFAULT_RATE_LIMITS)
+    });
+
+    if (!rateLimit.allowed) {
+      return errorResponse('rate_limited', 'Too many analyses. Please try again later', {
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(rateLimit.retryAfter) },
+        extra: { retryAfter: rateLimit.retryAfter }
+      });
+    }
+
+    // Call Google PageSpeed Insights API (timeout and retries in _lib/pagespeed.js)
+    let upstream;
+    try {
+      upstream = await runPagespeed({ url, strategy, categories }, { ...getPagespeedOptions(env), keyPool });
+    } finally {
+      // Key usage is saved however the run ends, including when it throws
+      const usageWrite = keyPool.flush();
+      if (typeof context.waitUntil === 'function') {
+        context.waitUntil(usageWrite);
+      } else {
+        await usageWrite;
       }
-    );
+    }
+
+    if (upstream.error) {
+      return errorResponse(upstream.error.code, upstream.error.message, {
+        status: upstream.error.status,
+        headers: corsHeaders
+      });
+    }
+
+    // Save, cache and record the run in the background (see _lib/fresh-results.js)
+    const { results: [result], writes } = storeFreshResults(env, {
+      cache,
+      strategy,
+      runs: [{ url, cacheKey, data: upstream.value }]
+    });
+    if (typeof context.waitUntil === 'function') {
+      context.waitUntil(writes);
+    } else {
+      await writes;
+    }
+
+    // Return the data to the client
+    return jsonResponse({ ...result, cached: false, cachedAt: null }, { headers: corsHeaders });
 
   } catch (error) {
     console.error('Function error:', error);
-    return new Response(
-      JSON.stringify({ error: 'Internal server error' }), 
-      { 
-        status: 500, 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      }
-    );
+    return errorResponse('internal_error', 'Internal server error', { status: 500, headers: corsHeaders });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,45 @@
+/**
+ * Cloudflare Pages Function for shared Lighthouse reports
+ * GET /api/lighthouse/:id returns the compact report saved by a fresh
+ * POST /api/lighthouse run, so shared links render without re-running PSI
+ */
+
+import { errorResponse, getCorsHeaders, handlePreflight, isOriginAllowed, jsonResponse } from '../../_lib/http.js';
+import { isShortId } from '../../_lib/ids.js';
+import { loadReport, REPORT_ID_LENGTH } from '../../_lib/reports.js';
+
+// Handle preflight requests
+export async function onRequestOptions(context) {
+  return handlePreflight(context.request, context.env, 'GET, OPTIONS');
+}
+
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+  const corsHeaders = getCorsHeaders(request, env, 'GET, OPTIONS');
+
+  if (!isOriginAllowed(request, env)) {
+    return errorResponse('origin_not_allowed', 'Origin not allowed', { status: 403 });
+  }
+
+  try {
+    if (!isShortId(params.id, REPORT_ID_LENGTH)) {
+      return errorResponse('report_not_found', 'Report not found', { status: 404, headers: corsHeaders });
+    }
+
+    const report = await loadReport(env, params.id);
+
+    if (!report) {
+      return errorResponse('report_not_found', 'Report not found or expired', { status: 404, headers: corsHeaders });
+    }
+
+    // Reports never change once saved
+    return jsonResponse(
+      { ...report.data, reportId: params.id, url: report.url, strategy: report.strategy, sharedAt: report.createdAt },
+      { headers: { ...corsHeaders, 'Cache-Control': 'public, max-age=86400' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    return errorResponse('internal_error', 'Internal server error', { status: 500, headers: corsHeaders });
+  }
+}
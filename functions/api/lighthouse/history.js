@@ -0,0 +1,49 @@
+/**
+ * Cloudflare Pages Function for Lighthouse score history
+ * GET /api/lighthouse/history?url=<url>&strategy=<mobile|desktop> returns the
+ * score snapshots recorded for the URL's domain by fresh POST /api/lighthouse runs
+ */
+
+import { errorResponse, getCorsHeaders, handlePreflight, isOriginAllowed, jsonResponse } from '../../_lib/http.js';
+import { getHistoryDomain, loadHistory } from '../../_lib/history.js';
+import { validatePublicUrl, validateStrategy } from '../../_lib/validation.js';
+
+// Handle preflight requests
+export async function onRequestOptions(context) {
+  return handlePreflight(context.request, context.env, 'GET, OPTIONS');
+}
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const corsHeaders = getCorsHeaders(request, env, 'GET, OPTIONS');
+
+  if (!isOriginAllowed(request, env)) {
+    return errorResponse('origin_not_allowed', 'Origin not allowed', { status: 403 });
+  }
+
+  try {
+    const params = new URL(request.url).searchParams;
+
+    // Nothing is fetched from the URL here, so the DNS check isn't needed
+    const url = await validatePublicUrl(params.get('url'));
+    if (url.error) {
+      return errorResponse(url.error.code, url.error.message, { status: 400, headers: corsHeaders });
+    }
+
+    const strategy = validateStrategy(params.get('strategy') || undefined);
+    if (strategy.error) {
+      return errorResponse(strategy.error.code, strategy.error.message, { status: 400, headers: corsHeaders });
+    }
+
+    const snapshots = await loadHistory(env, { url: url.value, strategy: strategy.value });
+
+    return jsonResponse(
+      { domain: getHistoryDomain(url.value), strategy: strategy.value, snapshots },
+      { headers: { ...corsHeaders, 'Cache-Control': 'no-store' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    return errorResponse('internal_error', 'Internal server error', { status: 500, headers: corsHeaders });
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Cloudflare Pages Function for local SEO checks
+ * POST /api/lighthouse/local-seo { url, city?, service? } fetches the page's
+ * HTML and runs the checks in _lib/local-seo.js (structured data, NAP,
+ * click-to-call, title/meta/H1, city and service keywords).
+ * The widget shows the result as a fifth "Local SEO" category.
+ *
+ * Each result is saved under a short reportId so share links can carry it:
+ * GET /api/lighthouse/local-seo?id=<reportId> returns the saved result.
+ *
+ * City and service default to what the page's LocalBusiness/Service JSON-LD says.
+ * Requests are rate limited per client IP (see LOCAL_SEO_RATE_LIMITS).
+ */
+
+import { errorResponse, getCorsHeaders, handlePreflight, isOriginAllowed, jsonResponse } from '../../_lib/http.js';
+import { auditLocalSeo } from '../../_lib/local-seo.js';
+import { isShortId } from '../../_lib/ids.js';
+import { fetchPublicText } from '../../_lib/public-fetch.js';
+import { checkRateLimit, getClientIp, parseRateLimits } from '../../_lib/rate-limit.js';
+import { createReportId, loadLocalSeoReport, REPORT_ID_LENGTH, saveLocalSeoReport } from '../../_lib/reports.js';
+import { validatePublicUrl } from '../../_lib/validation.js';
+
+// One page fetch per check, so this can be looser than the PSI limits
+const DEFAULT_RATE_LIMITS = '20/600,100/86400';
+const MAX_TERM_LENGTH = 100;
+
+function readTerm(value) {
+  return typeof value === 'string' && value.trim()
+    ? value.trim().slice(0, MAX_TERM_LENGTH)
+    : null;
+}
+
+// Handle preflight requests
+export async function onRequestOptions(context) {
+  return handlePreflight(context.request, context.env, 'GET, POST, OPTIONS');
+}
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const corsHeaders = getCorsHeaders(request, env, 'GET, POST, OPTIONS');
+
+  if (!isOriginAllowed(request, env)) {
+    return errorResponse('origin_not_allowed', 'Origin not allowed', { status: 403 });
+  }
+
+  try {
+    const id = new URL(request.url).searchParams.get('id');
+    if (!isShortId(id, REPORT_ID_LENGTH)) {
+      return errorResponse('report_not_found', 'Report not found', { status: 404, headers: corsHeaders });
+    }
+
+    const report = await loadLocalSeoReport(env, id);
+
+    if (!report) {
+      return errorResponse('report_not_found', 'Report not found or expired', { status: 404, headers: corsHeaders });
+    }
+
+    // Saved results never change
+    return jsonResponse(
+      { ...report.data, reportId: id, sharedAt: report.createdAt },
+      { headers: { ...corsHeaders, 'Cache-Control': 'public, max-age=86400' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    return errorResponse('internal_error', 'Internal server error', { status: 500, headers: corsHeaders });
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const corsHeaders = getCorsHeaders(request, env, 'GET, POST, OPTIONS');
+
+  if (!isOriginAllowed(request, env)) {
+    return errorResponse('origin_not_allowed', 'Origin not allowed', { status: 403 });
+  }
+
+  try {
+    let requestData;
+    try {
+      requestData = await request.json();
+    } catch {
+      return errorResponse('invalid_json', 'Request body must be valid JSON', { status: 400, headers: corsHeaders });
+    }
+
+    if (!requestData || typeof requestData !== 'object' || Array.isArray(requestData)) {
+      return errorResponse('invalid_body', 'Request body must be a JSON object', { status: 400, headers: corsHeaders });
+    }
+
+    const url = await validatePublicUrl(requestData.url, { resolveDns: true });
+    if (url.error) {
+      return errorResponse(url.error.code, url.error.message, { status: 400, headers: corsHeaders });
+    }
+
+    const rateLimit = await checkRateLimit(env, {
+      scope: 'local-seo',
+      clientId: getClientIp(request),
+      limits: parseRateLimits(env.LOCAL_SEO_RATE_LIMITS, DEFAULT_RATE_LIMITS)
+    });
+
+    if (!rateLimit.allowed) {
+      return errorResponse('rate_limited', 'Too many checks. Please try again later', {
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(rateLimit.retryAfter) },
+        extra: { retryAfter: rateLimit.retryAfter }
+      });
+    }
+
+    const page = await fetchPublicText(url.value);
+    if (!page) {
+      return errorResponse('page_unreachable', 'Could not load the page', { status: 502, headers: corsHeaders });
+    }
+
+    const audit = auditLocalSeo(page.text, {
+      city: readTerm(requestData.city),
+      service: readTerm(requestData.service)
+    });
+
+    const result = { url: url.value, ...audit };
+
+    // Saved in the background like Lighthouse reports, so the response doesn't wait on it
+    const reportId = createReportId();
+    const write = saveLocalSeoReport(env, reportId, result).catch(error => {
+      console.error('Local SEO report save failed:', error);
+    });
+    if (typeof context.waitUntil === 'function') {
+      context.waitUntil(write);
+    } else {
+      await write;
+    }
+
+    return jsonResponse({ ...result, reportId }, { headers: corsHeaders });
+
+  } catch (error) {
+    console.error('Function error:', error);
+    return errorResponse('internal_error', 'Internal server error', { status: 500, headers: corsHeaders });
+  }
+}
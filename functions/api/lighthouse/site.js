@@ -0,0 +1,165 @@
+/**
+ * Cloudflare Pages Function for full-site Lighthouse audits
+ * POST /api/lighthouse/site { url, strategy, maxPages?, fresh? } finds the
+ * site's pages (sitemap.xml, else links on the submitted page), runs up to
+ * SITE_AUDIT_MAX_PAGES (at most 20) of them through PageSpeed Insights
+ * SITE_AUDIT_CONCURRENCY (at most 5) at a time and returns per-page scores
+ * with site-wide averages, the worst pages and recurring issues.
+ *
+ * Pages share the single-page result cache; fresh runs are also saved as
+ * shareable reports and recorded in the domain's score history. A site audit
+ * costs several PSI runs, so it has its own, stricter rate limit
+ * (SITE_AUDIT_RATE_LIMITS).
+ */
+
+import { buildCacheKey, createResultCache } from '../../_lib/result-cache.js';
+import { storeFreshResults } from '../../_lib/fresh-results.js';
+import { errorResponse, getCorsHeaders, handlePreflight, isOriginAllowed, jsonResponse } from '../../_lib/http.js';
+import { createKeyPool } from '../../_lib/key-pool.js';
+import { getPagespeedOptions, runPagespeed } from '../../_lib/pagespeed.js';
+import { checkRateLimit, getClientIp, parseRateLimits } from '../../_lib/rate-limit.js';
+import { aggregateSiteAudit, runWithConcurrency, summarizePage } from '../../_lib/site-audit.js';
+import { discoverSitePages } from '../../_lib/sitemap.js';
+import { LIGHTHOUSE_CATEGORIES, validatePublicUrl, validateStrategy } from '../../_lib/validation.js';
+
+// 3 site audits per hour and 6 per day for each IP
+const DEFAULT_RATE_LIMITS = '3/3600,6/86400';
+const DEFAULT_MAX_PAGES = 10;
+const DEFAULT_CONCURRENCY = 3;
+
+// Hard ceilings on top of the env settings: an audit is one request, so every
+// page shares that request's subrequest and time budget
+const MAX_PAGES_CEILING = 20;
+const MAX_CONCURRENCY = 5;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Handle preflight requests
+export async function onRequestOptions(context) {
+  return handlePreflight(context.request, context.env, 'POST, OPTIONS');
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const corsHeaders = getCorsHeaders(request, env, 'POST, OPTIONS');
+
+  if (!isOriginAllowed(request, env)) {
+    return errorResponse('origin_not_allowed', 'Origin not allowed', { status: 403 });
+  }
+
+  try {
+    const keyPool = createKeyPool(env);
+
+    if (keyPool.size === 0) {
+      return errorResponse('api_key_missing', 'API key not configured', { status: 500, headers: corsHeaders });
+    }
+
+    let requestData;
+    try {
+      requestData = await request.json();
+    } catch {
+      return errorResponse('invalid_json', 'Request body must be valid JSON', { status: 400, headers: corsHeaders });
+    }
+
+    if (!requestData || typeof requestData !== 'object' || Array.isArray(requestData)) {
+      return errorResponse('invalid_body', 'Request body must be a JSON object', { status: 400, headers: corsHeaders });
+    }
+
+    const url = await validatePublicUrl(requestData.url, { resolveDns: true });
+    if (url.error) {
+      return errorResponse(url.error.code, url.error.message, { status: 400, headers: corsHeaders });
+    }
+
+    const strategy = validateStrategy(requestData.strategy, 'mobile');
+    if (strategy.error) {
+      return errorResponse(strategy.error.code, strategy.error.message, { status: 400, headers: corsHeaders });
+    }
+
+    // Visitors can ask for fewer pages than the configured ceiling, never more
+    const maxPagesLimit = Math.min(readPositiveInt(env.SITE_AUDIT_MAX_PAGES, DEFAULT_MAX_PAGES), MAX_PAGES_CEILING);
+    const maxPages = Math.min(readPositiveInt(requestData.maxPages, maxPagesLimit), maxPagesLimit);
+
+    const rateLimit = await checkRateLimit(env, {
+      scope: 'lighthouse-site',
+      clientId: getClientIp(request),
+      limits: parseRateLimits(env.SITE_AUDIT_RATE_LIMITS, DEFAULT_RATE_LIMITS)
+    });
+
+    if (!rateLimit.allowed) {
+      return errorResponse('rate_limited', 'Too many site audits. Please try again later', {
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(rateLimit.retryAfter) },
+        extra: { retryAfter: rateLimit.retryAfter }
+      });
+    }
+
+    const discovery = await discoverSitePages(url.value, { limit: maxPages });
+
+    const categories = [...LIGHTHOUSE_CATEGORIES];
+    const cache = createResultCache(env);
+    const pagespeedOptions = { ...getPagespeedOptions(env), keyPool };
+    const concurrency = Math.min(readPositiveInt(env.SITE_AUDIT_CONCURRENCY, DEFAULT_CONCURRENCY), MAX_CONCURRENCY);
+    const freshRuns = [];
+
+    const outcomes = await runWithConcurrency(discovery.pages.map(pageUrl => async () => {
+      const cacheKey = await buildCacheKey({ url: pageUrl, strategy: strategy.value, categories });
+
+      if (requestData.fresh !== true) {
+        const cachedEntry = await cache.get(cacheKey);
+        if (cachedEntry) {
+          return { ...summarizePage(pageUrl, cachedEntry.data), cached: true };
+        }
+      }
+
+      const upstream = await runPagespeed({ url: pageUrl, strategy: strategy.value, categories }, pagespeedOptions);
+      if (upstream.error) {
+        const { code, message, status } = upstream.error;
+        return { url: pageUrl, error: message, code, status };
+      }
+
+      freshRuns.push({ url: pageUrl, cacheKey, data: upstream.value });
+      return { ...summarizePage(pageUrl, upstream.value), cached: false };
+    }), concurrency);
+
+    const pages = outcomes.map((outcome, index) => {
+      if (outcome.value) return outcome.value;
+
+      console.error('Site audit page failed:', discovery.pages[index], outcome.error);
+      return { url: discovery.pages[index], error: 'Internal error', code: 'internal_error', status: 500 };
+    });
+
+    // Fresh pages are saved, cached and recorded like single-page runs
+    const { writes: resultWrites } = storeFreshResults(env, { cache, strategy: strategy.value, runs: freshRuns });
+    const writes = Promise.all([resultWrites, keyPool.flush()]);
+    if (typeof context.waitUntil === 'function') {
+      context.waitUntil(writes);
+    } else {
+      await writes;
+    }
+
+    // Nothing to aggregate; the quota/timeout error of the first page says why
+    if (pages.every(page => page.error)) {
+      const { code, error, status } = pages[0];
+      return errorResponse(code, error, { status, headers: corsHeaders });
+    }
+
+    return jsonResponse({
+      url: url.value,
+      strategy: strategy.value,
+      source: discovery.source,
+      analyzedAt: new Date().toISOString(),
+      ...aggregateSiteAudit(pages),
+      pages: pages.map(({ failingAudits, status, ...page }) => ({
+        ...page,
+        issueCount: failingAudits ? failingAudits.length : null
+      }))
+    }, { headers: corsHeaders });
+
+  } catch (error) {
+    console.error('Function error:', error);
+    return errorResponse('internal_error', 'Internal server error', { status: 500, headers: corsHeaders });
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Cloudflare Pages Function for PageSpeed Insights quota status
+ * GET /api/lighthouse/status?days=<1-7> returns each pool key's usage today
+ * against PAGESPEED_DAILY_QUOTA, plus daily request counts and error rates,
+ * so a campaign launch doesn't find out about the quota the hard way.
+ *
+ * Requires `Authorization: Bearer <STATUS_TOKEN>`; without STATUS_TOKEN set
+ * the endpoint doesn't exist. Keys are identified by hash prefix, never shown.
+ */
+
+import { errorResponse, jsonResponse } from '../../_lib/http.js';
+import { getUsageReport } from '../../_lib/key-pool.js';
+import { sha256Hex } from '../../_lib/result-cache.js';
+
+// PageSpeed Insights' default per-project limit
+const DEFAULT_DAILY_QUOTA = 25000;
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 7;
+
+// Compare digests so the check takes the same time however much matches
+async function isAuthorized(request, token) {
+  const header = request.headers.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  return provided !== '' && (await sha256Hex(provided)) === (await sha256Hex(token));
+}
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  if (!env.STATUS_TOKEN) {
+    return errorResponse('not_found', 'Not found', { status: 404 });
+  }
+
+  if (!(await isAuthorized(request, env.STATUS_TOKEN))) {
+    return errorResponse('unauthorized', 'A valid status token is required', {
+      status: 401,
+      headers: { 'WWW-Authenticate': 'Bearer' }
+    });
+  }
+
+  try {
+    const days = parseInt(new URL(request.url).searchParams.get('days'), 10);
+    const dailyQuota = parseInt(env.PAGESPEED_DAILY_QUOTA, 10);
+
+    const report = await getUsageReport(env, {
+      days: Number.isFinite(days) && days > 0 ? Math.min(days, MAX_DAYS) : DEFAULT_DAYS,
+      dailyQuota: Number.isFinite(dailyQuota) && dailyQuota > 0 ? dailyQuota : DEFAULT_DAILY_QUOTA
+    });
+
+    return jsonResponse(
+      { ...report, generatedAt: new Date().toISOString() },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    return errorResponse('internal_error', 'Internal server error', { status: 500 });
+  }
+}
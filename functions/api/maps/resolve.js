@@ -0,0 +1,76 @@
+/**
+ * Cloudflare Pages Function for Google Maps share links
+ * POST /api/maps/resolve { url } expands a maps.app.goo.gl / goo.gl share
+ * link and returns { url, expandedUrl, placeId } so the review link widget can
+ * build a direct review link from what contractors paste from their phones.
+ *
+ * Only Google hosts are followed (see _lib/maps-link.js). Requests are rate
+ * limited per client IP (see MAPS_RESOLVE_RATE_LIMITS).
+ */
+
+import { errorResponse, getCorsHeaders, handlePreflight, isOriginAllowed, jsonResponse } from '../../_lib/http.js';
+import { resolveMapsLink, validateShortLink } from '../../_lib/maps-link.js';
+import { checkRateLimit, getClientIp, parseRateLimits } from '../../_lib/rate-limit.js';
+
+// A few redirects per lookup; generous enough for someone retrying typos
+const DEFAULT_RATE_LIMITS = '30/600,200/86400';
+
+// Handle preflight requests
+export async function onRequestOptions(context) {
+  return handlePreflight(context.request, context.env, 'POST, OPTIONS');
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const corsHeaders = getCorsHeaders(request, env, 'POST, OPTIONS');
+
+  if (!isOriginAllowed(request, env)) {
+    return errorResponse('origin_not_allowed', 'Origin not allowed', { status: 403 });
+  }
+
+  try {
+    let requestData;
+    try {
+      requestData = await request.json();
+    } catch {
+      return errorResponse('invalid_json', 'Request body must be valid JSON', { status: 400, headers: corsHeaders });
+    }
+
+    if (!requestData || typeof requestData !== 'object' || Array.isArray(requestData)) {
+      return errorResponse('invalid_body', 'Request body must be a JSON object', { status: 400, headers: corsHeaders });
+    }
+
+    const url = validateShortLink(requestData.url);
+    if (url.error) {
+      return errorResponse(url.error.code, url.error.message, { status: 400, headers: corsHeaders });
+    }
+
+    const rateLimit = await checkRateLimit(env, {
+      scope: 'maps-resolve',
+      clientId: getClientIp(request),
+      limits: parseRateLimits(env.MAPS_RESOLVE_RATE_LIMITS, DEFAULT_RATE_LIMITS)
+    });
+
+    if (!rateLimit.allowed) {
+      return errorResponse('rate_limited', 'Too many lookups. Please try again later', {
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(rateLimit.retryAfter) },
+        extra: { retryAfter: rateLimit.retryAfter }
+      });
+    }
+
+    const resolved = await resolveMapsLink(url.value);
+    if (resolved.error) {
+      return errorResponse(resolved.error.code, resolved.error.message, { status: 502, headers: corsHeaders });
+    }
+
+    return jsonResponse(
+      { url: url.value, expandedUrl: resolved.value.expandedUrl, placeId: resolved.value.placeId },
+      { headers: corsHeaders }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    return errorResponse('internal_error', 'Internal server error', { status: 500, headers: corsHeaders });
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Google URL Parser - Vanilla JavaScript, no dependencies
+ * Finds the business listing a Google Maps URL, search URL, review link or
+ * bare ID points at, and builds the most direct "write a review" link for it.
+ * Load before js/review-qr-widget.js, which reads it as window.GoogleUrlParser.
+ *
+ *   var match = GoogleUrlParser.parse("maps.google.com/?cid=10240862254470663357");
+ *   match.type, match.id, match.form                       -> "cid", "1024…", "cid"
+ *   GoogleUrlParser.buildReviewUrl(match, "Name", "City")  -> "https://maps.google.com/?cid=1024…"
+ *   GoogleUrlParser.isShareLink("https://maps.app.goo.gl/…") -> true
+ */
+(function () {
+  "use strict";
+
+  // Google identifies a business listing three ways, and its URLs carry them in
+  // several forms. parse() returns the best one found as { type, id, form },
+  // preferring Place IDs, then feature IDs, then CIDs:
+  //
+  //   type        form              example
+  //   place_id    raw               ChIJN1t_tDeuEmsRUsoyG83frY4
+  //   place_id    writereview       search.google.com/local/writereview?placeid=ChIJ…
+  //   place_id    place_id_param    google.com/maps/search/?api=1&query_place_id=ChIJ…
+  //                                 google.com/maps/place/?q=place_id:ChIJ…
+  //   place_id    maps_data         google.com/maps/place/Name/@…/data=!…!1sChIJ…!…
+  //   feature_id  raw               0x89c259af18b60165:0x8e1ebcb5b2a69cbd
+  //   feature_id  lrd               google.com/search?q=Name#lrd=0x…:0x…,1,,,
+  //   feature_id  maps_data         google.com/maps/place/Name/@…/data=!…!1s0x…:0x…!…
+  //   feature_id  ftid              google.com/maps?ftid=0x…:0x…
+  //   cid         cid               maps.google.com/?cid=10240862254470663357
+  //   cid         ludocid           google.com/search?q=Name&ludocid=10240862254470663357
+  //   review_link g_page            g.page/r/CabcdEFGhijKLmnoEAE/review
+
+  var PLACE_ID_PATTERN = /^[A-Za-z0-9_-]{20,}$/;
+  var FEATURE_ID_PATTERN = /^0x[0-9a-f]{1,16}:0x[0-9a-f]{1,16}$/i;
+  var CID_PATTERN = /^\d{5,20}$/;
+  var ID_TYPE_RANK = ["place_id", "feature_id", "review_link", "cid"];
+
+  function safeDecode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (err) {
+      return value;
+    }
+  }
+
+  function toUrl(value) {
+    try {
+      return new URL(/^https?:\/\//i.test(value) ? value : "https://" + value);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Query string and fragment parameters (lrd and ludocid often sit after the #)
+  function getUrlParams(url) {
+    var params = new URLSearchParams(url.search);
+    new URLSearchParams(url.hash.replace(/^#/, "")).forEach(function (value, key) {
+      if (!params.has(key)) params.set(key, value);
+    });
+    return params;
+  }
+
+  function collectMatches(input) {
+    var text = input.trim();
+    var decoded = safeDecode(text);
+    var matches = [];
+    var add = function (type, id, form) {
+      if (id) matches.push({ type: type, id: id, form: form });
+    };
+    var found;
+
+    if (/^ChIJ[A-Za-z0-9_-]+$/.test(text)) add("place_id", text, "raw");
+    if (FEATURE_ID_PATTERN.test(text)) add("feature_id", text.toLowerCase(), "raw");
+    if (matches.length > 0) return matches;
+
+    var url = toUrl(text);
+
+    // Business Profile "Ask for reviews" links already open the review form
+    found = url && url.hostname === "g.page" && url.pathname.match(/^\/r\/([A-Za-z0-9_-]+)/);
+    if (found) add("review_link", "https://g.page/r/" + found[1] + "/review", "g_page");
+
+    if (url && /(^|\.)google\./i.test(url.hostname)) {
+      var params = getUrlParams(url);
+      var placeIdParam = params.get("placeid") || params.get("place_id") || params.get("query_place_id");
+
+      if (placeIdParam && PLACE_ID_PATTERN.test(placeIdParam)) {
+        add("place_id", placeIdParam, /\/local\/(writereview|reviews)/.test(url.pathname) ? "writereview" : "place_id_param");
+      }
+
+      var lrd = (params.get("lrd") || "").split(",")[0];
+      if (FEATURE_ID_PATTERN.test(lrd)) add("feature_id", lrd.toLowerCase(), "lrd");
+
+      var ftid = params.get("ftid") || "";
+      if (FEATURE_ID_PATTERN.test(ftid)) add("feature_id", ftid.toLowerCase(), "ftid");
+
+      var cid = params.get("cid") || "";
+      if (CID_PATTERN.test(cid)) add("cid", cid, "cid");
+
+      var ludocid = params.get("ludocid") || "";
+      if (CID_PATTERN.test(ludocid)) add("cid", ludocid, "ludocid");
+    }
+
+    // "place_id:ChIJ…" search queries, wherever they appear
+    found = decoded.match(/place_id:([A-Za-z0-9_-]{20,})/);
+    if (found) add("place_id", found[1], "place_id_param");
+
+    // Maps data segment: "!1s" followed by a Place ID or a feature ID
+    found = decoded.match(/[!|]1s(ChIJ[A-Za-z0-9_-]+)/);
+    if (found) add("place_id", found[1], "maps_data");
+
+    found = decoded.match(/[!|]1s(0x[0-9a-f]{1,16}:0x[0-9a-f]{1,16})/i);
+    if (found) add("feature_id", found[1].toLowerCase(), "maps_data");
+
+    return matches;
+  }
+
+  /**
+   * Find the listing a Google URL (or a bare Place ID / feature ID) points at.
+   * Returns { type: "place_id" | "feature_id" | "review_link" | "cid", id, form }
+   * or null. For review_link the id is the normalized link itself.
+   * Short share links (maps.app.goo.gl) carry no ID until they are expanded
+   * (see isShareLink); the review widget expands them server-side.
+   */
+  function parse(input) {
+    if (!input || typeof input !== "string") return null;
+
+    var matches = collectMatches(input);
+    if (matches.length === 0) return null;
+
+    return matches.sort(function (a, b) {
+      return ID_TYPE_RANK.indexOf(a.type) - ID_TYPE_RANK.indexOf(b.type);
+    })[0];
+  }
+
+  // maps.app.goo.gl and goo.gl/maps links from the Share button and phone apps
+  function isShareLink(url) {
+    return /^(https?:\/\/)?(maps\.app\.goo\.gl|goo\.gl|g\.co|share\.google)\//i.test(url);
+  }
+
+  /**
+   * Build the most direct review URL for a parse() match.
+   * - Place ID: write-review endpoint (opens the review form immediately)
+   * - Feature ID: Google search with the knowledge panel's review dialog open
+   * - g.page review link: used as is
+   * - CID: the Maps listing (customer taps "Write a review")
+   * - Nothing: Google Maps search for the business name and city
+   */
+  function buildReviewUrl(match, businessName, city) {
+    var query = [businessName, city].filter(Boolean).join(" ");
+
+    if (match && match.type === "place_id") {
+      return (
+        "https://search.google.com/local/writereview?placeid=" +
+        encodeURIComponent(match.id)
+      );
+    }
+
+    if (match && match.type === "feature_id") {
+      // lrd=<feature id>,3 opens the "Write a review" dialog on the result
+      return (
+        "https://www.google.com/search?q=" +
+        encodeURIComponent(query || "reviews") +
+        "#lrd=" +
+        match.id +
+        ",3,,,"
+      );
+    }
+
+    if (match && match.type === "review_link") {
+      return match.id;
+    }
+
+    if (match && match.type === "cid") {
+      return "https://maps.google.com/?cid=" + match.id;
+    }
+
+    // Fallback: Maps search URL
+    return (
+      "https://www.google.com/maps/search/?api=1&query=" +
+      encodeURIComponent(query)
+    );
+  }
+
+  window.GoogleUrlParser = {
+    parse: parse,
+    buildReviewUrl: buildReviewUrl,
+    isShareLink: isShareLink,
+  };
+})();
@@ -0,0 +1,343 @@
+/**
+ * Lighthouse Audit Catalog
+ * Plain-language copy for the Lighthouse audits the widget explains best.
+ * Load before js/lighthouse-widget.js, which reads it as LighthouseWidget.config.auditCatalog.
+ *
+ * Each entry maps a Lighthouse audit ID to:
+ *   categories  Widget categories the audit is listed under
+ *               (performance, accessibility, bestPractices, seo)
+ *   copy        Friendly description per category
+ *   impact      Impact label (High / Medium / Low) used when Lighthouse gives the
+ *               audit no weight or savings estimate to rank it by
+ *
+ * Failing audits missing from the catalog are still listed under the category
+ * Lighthouse scores them in, with Lighthouse's own description.
+ */
+(function() {
+  'use strict';
+
+  window.LighthouseAuditCatalog = {
+    // Performance
+    'largest-contentful-paint': {
+      categories: ['performance'],
+      impact: 'High',
+      copy: {
+        performance: 'The main content on your page takes too long to load. This affects how quickly users can see and interact with your site.'
+      }
+    },
+    'first-contentful-paint': {
+      categories: ['performance'],
+      impact: 'Medium',
+      copy: {
+        performance: 'Your page takes too long to show any content to users. Faster loading improves user experience.'
+      }
+    },
+    'speed-index': {
+      categories: ['performance'],
+      impact: 'Medium',
+      copy: {
+        performance: 'Your page content loads slowly. Optimizing images and code can make your site feel much faster.'
+      }
+    },
+    'cumulative-layout-shift': {
+      categories: ['performance'],
+      impact: 'High',
+      copy: {
+        performance: 'Elements on your page move around while loading, which can be frustrating for users trying to click buttons or read content.'
+      }
+    },
+    'total-blocking-time': {
+      categories: ['performance'],
+      impact: 'High',
+      copy: {
+        performance: 'Scripts on your page are preventing users from interacting with it quickly. Optimizing JavaScript will make your site more responsive.'
+      }
+    },
+    'render-blocking-resources': {
+      categories: ['performance'],
+      copy: {
+        performance: 'Some files are preventing your page from loading quickly. Moving or optimizing these files will speed up your site.'
+      }
+    },
+    'unused-css-rules': {
+      categories: ['performance'],
+      copy: {
+        performance: 'Your site is loading CSS styles that aren\'t being used, which slows down loading time.'
+      }
+    },
+    'unused-javascript': {
+      categories: ['performance'],
+      copy: {
+        performance: 'Your site is loading JavaScript code that isn\'t being used, which affects performance.'
+      }
+    },
+    'modern-image-formats': {
+      categories: ['performance'],
+      copy: {
+        performance: 'Your images could be in more efficient formats (like WebP) to load faster and use less bandwidth.'
+      }
+    },
+    'efficiently-encode-images': {
+      categories: ['performance'],
+      copy: {
+        performance: 'Your images aren\'t optimized, making them larger than necessary and slower to load.'
+      }
+    },
+    'offscreen-images': {
+      categories: ['performance'],
+      copy: {
+        performance: 'Images that aren\'t visible when the page first loads should be loaded later to improve initial loading speed.'
+      }
+    },
+    'unminified-css': {
+      categories: ['performance'],
+      impact: 'Low',
+      copy: {
+        performance: 'Your CSS files contain extra spaces and comments that make them larger than necessary.'
+      }
+    },
+    'unminified-javascript': {
+      categories: ['performance'],
+      impact: 'Low',
+      copy: {
+        performance: 'Your JavaScript files contain extra spaces and comments that make them larger than necessary.'
+      }
+    },
+    'server-response-time': {
+      categories: ['performance'],
+      impact: 'High',
+      copy: {
+        performance: 'Your web server takes too long to respond, which delays page loading for all visitors.'
+      }
+    },
+    'uses-text-compression': {
+      categories: ['performance'],
+      copy: {
+        performance: 'Your text files aren\'t compressed, making them take longer to download.'
+      }
+    },
+    'uses-rel-preconnect': {
+      categories: ['performance'],
+      impact: 'Low',
+      copy: {
+        performance: 'Your site could load faster by connecting to external services earlier in the loading process.'
+      }
+    },
+    'uses-rel-preload': {
+      categories: ['performance'],
+      impact: 'Low',
+      copy: {
+        performance: 'Important resources could be loaded earlier to improve page speed.'
+      }
+    },
+    'font-display': {
+      categories: ['performance'],
+      impact: 'Low',
+      copy: {
+        performance: 'Your custom fonts could be set up to show text faster while the fonts are loading.'
+      }
+    },
+
+    // Accessibility
+    'color-contrast': {
+      categories: ['accessibility'],
+      impact: 'High',
+      copy: {
+        accessibility: 'Some text on your site is hard to read due to insufficient color contrast, making it difficult for users with vision impairments.'
+      }
+    },
+    'image-alt': {
+      categories: ['accessibility', 'seo'],
+      impact: 'High',
+      copy: {
+        accessibility: 'Some images are missing descriptions, making them inaccessible to screen readers and users with visual impairments.',
+        seo: 'Some images are missing descriptions, so search engines can\'t tell what they show or use them to rank your page.'
+      }
+    },
+    'label': {
+      categories: ['accessibility'],
+      impact: 'High',
+      copy: {
+        accessibility: 'Some form fields are missing labels, making it difficult for users with disabilities to understand what information to enter.'
+      }
+    },
+    'link-name': {
+      categories: ['accessibility'],
+      copy: {
+        accessibility: 'Some links don\'t have descriptive text, making it unclear where they lead for screen reader users.'
+      }
+    },
+    'button-name': {
+      categories: ['accessibility'],
+      copy: {
+        accessibility: 'Some buttons don\'t have clear names, making it confusing for users with disabilities to understand their purpose.'
+      }
+    },
+    'document-title': {
+      categories: ['accessibility', 'seo'],
+      copy: {
+        accessibility: 'Your page is missing a title, so screen reader users can\'t tell which page or tab they\'re on.',
+        seo: 'Your page title is missing or not optimized, which hurts your search engine rankings.'
+      }
+    },
+    'html-has-lang': {
+      categories: ['accessibility'],
+      copy: {
+        accessibility: 'Your page doesn\'t specify its language, which can cause problems for screen readers and translation tools.'
+      }
+    },
+    'meta-viewport': {
+      categories: ['accessibility'],
+      impact: 'High',
+      copy: {
+        accessibility: 'Your page isn\'t set up properly for mobile devices, which can cause accessibility and usability issues.'
+      }
+    },
+    'heading-order': {
+      categories: ['accessibility'],
+      impact: 'Low',
+      copy: {
+        accessibility: 'Your page headings aren\'t in the correct order, which can confuse screen reader users navigating your content.'
+      }
+    },
+    'skip-link': {
+      categories: ['accessibility'],
+      impact: 'Low',
+      copy: {
+        accessibility: 'Your page is missing a "skip to main content" link, making navigation difficult for keyboard users.'
+      }
+    },
+    'focus-traps': {
+      categories: ['accessibility'],
+      copy: {
+        accessibility: 'Keyboard users can get stuck inside part of your page (like a pop-up or menu) with no way to tab back out.'
+      }
+    },
+    'focusable-controls': {
+      categories: ['accessibility'],
+      copy: {
+        accessibility: 'Some buttons or links can\'t be reached with the keyboard, so visitors who don\'t use a mouse can\'t use them.'
+      }
+    },
+    'interactive-element-affordance': {
+      categories: ['accessibility'],
+      impact: 'Low',
+      copy: {
+        accessibility: 'Some clickable elements don\'t look clickable, so visitors may not realize they can interact with them.'
+      }
+    },
+
+    // Best Practices
+    'is-on-https': {
+      categories: ['bestPractices'],
+      impact: 'High',
+      copy: {
+        bestPractices: 'Your website isn\'t using HTTPS, which means data sent between users and your site isn\'t encrypted and secure.'
+      }
+    },
+    'uses-http2': {
+      categories: ['bestPractices'],
+      copy: {
+        bestPractices: 'Your server could use HTTP/2 to load your site faster and more efficiently.'
+      }
+    },
+    'no-vulnerable-libraries': {
+      categories: ['bestPractices'],
+      impact: 'High',
+      copy: {
+        bestPractices: 'Your site is using outdated code libraries that have known security vulnerabilities.'
+      }
+    },
+    'external-anchors-use-rel-noopener': {
+      categories: ['bestPractices'],
+      impact: 'Low',
+      copy: {
+        bestPractices: 'Links to other websites should be set up more securely to protect your users.'
+      }
+    },
+    'geolocation-on-start': {
+      categories: ['bestPractices'],
+      copy: {
+        bestPractices: 'Your site asks for location permission immediately, which can be annoying and suspicious to users.'
+      }
+    },
+    'notification-on-start': {
+      categories: ['bestPractices'],
+      copy: {
+        bestPractices: 'Your site asks for notification permission immediately, which creates a poor user experience.'
+      }
+    },
+    'no-document-write': {
+      categories: ['bestPractices'],
+      copy: {
+        bestPractices: 'Your site uses outdated JavaScript methods that can slow down page loading.'
+      }
+    },
+    'js-libraries': {
+      categories: ['bestPractices'],
+      impact: 'Low',
+      copy: {
+        bestPractices: 'Your site is using outdated JavaScript libraries that should be updated for better performance and security.'
+      }
+    },
+
+    // SEO
+    'meta-description': {
+      categories: ['seo'],
+      copy: {
+        seo: 'Your page is missing a meta description, which is important for search engine results.'
+      }
+    },
+    'http-status-code': {
+      categories: ['seo'],
+      impact: 'High',
+      copy: {
+        seo: 'Your page isn\'t returning the correct status code, which can hurt search engine indexing.'
+      }
+    },
+    'link-text': {
+      categories: ['seo'],
+      copy: {
+        seo: 'Some of your links use generic text like "click here" instead of descriptive text that helps with SEO.'
+      }
+    },
+    'is-crawlable': {
+      categories: ['seo'],
+      impact: 'High',
+      copy: {
+        seo: 'Search engines are being blocked from indexing your page, which will hurt your search rankings.'
+      }
+    },
+    'robots-txt': {
+      categories: ['seo'],
+      copy: {
+        seo: 'Your robots.txt file has issues that might prevent search engines from properly indexing your site.'
+      }
+    },
+    'hreflang': {
+      categories: ['seo'],
+      impact: 'Low',
+      copy: {
+        seo: 'If your site serves multiple languages, it needs proper language tags for international SEO.'
+      }
+    },
+    'canonical': {
+      categories: ['seo'],
+      copy: {
+        seo: 'Your page needs canonical tags to prevent duplicate content issues in search results.'
+      }
+    },
+    'font-size': {
+      categories: ['seo'],
+      copy: {
+        seo: 'Some text on your page is too small for mobile users, which can hurt mobile search rankings.'
+      }
+    },
+    'tap-targets': {
+      categories: ['seo'],
+      copy: {
+        seo: 'Some buttons and links on mobile are too small or too close together, making them hard to tap.'
+      }
+    }
+  };
+})();
@@ -1,6 +1,31 @@
 /**
  * Lighthouse Widget - Vanilla JavaScript
  * Simple website performance analyzer that can be dropped into any static site
+ *
+ * Options (data attributes on [data-lighthouse-widget]):
+ *   data-title     Widget heading
+ *   data-strategy  "mobile" (default), "desktop" or "both" for a side-by-side comparison
+ *   data-mode      "compare" adds up to two competitor URLs next to the prospect's site;
+ *                  "site" audits several pages found through the site's sitemap.xml
+ *   data-city / data-service  Prefill the optional "City you serve" and "Main service"
+ *                  fields the local SEO checks look for in the title, H1 and meta description
+ *   data-lead-capture  Keep scores visible but unlock detailed recommendations after
+ *                      the visitor leaves their contact details (POSTed to /api/leads);
+ *                      shared ?report= links are gated the same way
+ *   data-datalayer     Push lifecycle events to window.dataLayer for Google Tag Manager;
+ *                      a value replaces the default "lighthouse_widget" event name prefix
+ *
+ * Lifecycle events (analyze:start, analyze:success, analyze:error, and
+ * link:generated / link:copied for share links) go to LighthouseWidget.on(event, fn)
+ * listeners and are dispatched on the container as "lighthouse-widget:<event>"
+ * CustomEvents.
+ *
+ * Results can be shared as ?report=<id> links (plus &localSeo=<id> for the local
+ * SEO checks); the first widget on the page renders the saved report instead of
+ * re-running the analysis.
+ *
+ * Load js/lighthouse-audit-catalog.js first for plain-language audit copy.
+ * Entries can be added or replaced through LighthouseWidget.config.auditCatalog.
  */
 (function() {
   'use strict';
@@ -8,7 +33,52 @@
   // Configuration
   const CONFIG = {
     apiEndpoint: '/api/lighthouse', // Cloudflare Pages Function endpoint
-    containerSelector: '[data-lighthouse-widget]'
+    leadsEndpoint: '/api/leads',
+    historyEndpoint: '/api/lighthouse/history',
+    siteAuditEndpoint: '/api/lighthouse/site',
+    localSeoEndpoint: '/api/lighthouse/local-seo',
+    siteAuditMaxPages: 10, // The server's SITE_AUDIT_MAX_PAGES still caps this
+    leadStorageKey: 'lighthouse-widget:lead-unlocked',
+    containerSelector: '[data-lighthouse-widget]',
+    defaultStrategy: 'mobile',
+    maxCompetitors: 2,
+    compareConcurrency: 2, // Parallel PageSpeed runs in compare mode
+    // Friendly audit copy and categories, see js/lighthouse-audit-catalog.js
+    auditCatalog: window.LighthouseAuditCatalog || {},
+    // Branding for the exported/printed report
+    report: {
+      brandName: 'Nicolas Bolt',
+      ctaTitle: 'Need help making these changes?',
+      ctaText: 'Book a discovery call to get a complete audit of your website and a plan to boost your visibility online.',
+      ctaLabel: 'Book a discovery call',
+      ctaUrl: 'https://nicolasbolt.com/contact-me'
+    }
+  };
+
+  // Values accepted by data-strategy; `both` runs mobile and desktop side by side
+  const STRATEGIES = ['mobile', 'desktop', 'both'];
+
+  // Set once a widget has picked up the page's ?report= link
+  let sharedReportClaimed = false;
+
+  // Lifecycle events accepted by LighthouseWidget.on()
+  const WIDGET_EVENTS = ['analyze:start', 'analyze:success', 'analyze:error', 'link:generated', 'link:copied'];
+  const eventListeners = {};
+
+  // Friendly copy for the error codes returned by /api/lighthouse
+  const errorMessages = {
+    url_required: 'Please enter a website URL.',
+    url_too_long: 'That URL is too long. Try entering just the domain (e.g., example.com).',
+    url_invalid: 'Please enter a valid website URL (e.g., google.com or example.com).',
+    url_protocol_not_allowed: 'Only websites starting with http:// or https:// can be analyzed.',
+    url_port_not_allowed: 'Only websites on standard ports can be analyzed. Try removing the ":port" part of the URL.',
+    url_host_not_allowed: 'That address isn\'t a public website. Please enter a domain name like example.com.',
+    strategy_invalid: 'This analyzer is misconfigured (unknown device type). Please contact the site owner.',
+    categories_invalid: 'This analyzer is misconfigured (unknown category). Please contact the site owner.',
+    origin_not_allowed: 'This analyzer can only be used from its own website.',
+    upstream_quota: 'The analyzer has reached its daily limit. Please try again tomorrow.',
+    upstream_timeout: 'Google took too long to analyze this website. Slow sites sometimes time out, so please try again.',
+    upstream_rate_limited: 'Google is handling too many requests right now. Please try again in a minute.'
   };
 
   // Score descriptions and improvement suggestions
@@ -31,6 +101,13 @@
     }
   };
 
+  // Fifth category from /api/lighthouse/local-seo. Kept out of scoreDescriptions
+  // because comparisons, history and exports only cover Lighthouse's four.
+  const localSeoDescription = {
+    title: 'Local SEO',
+    description: 'How clearly your page tells Google what you do, where, and how to reach you'
+  };
+
   const improvementSuggestions = {
     performance: [
       { title: 'Optimize Images', description: 'Serve images in next-gen formats (WebP, AVIF) and properly size them', impact: 'High' },
@@ -66,6 +143,21 @@
     ]
   };
 
+  // Chrome UX Report (real-user) metrics returned in PSI's loadingExperience
+  const fieldMetrics = [
+    { key: 'LARGEST_CONTENTFUL_PAINT_MS', name: 'LCP', title: 'Largest Contentful Paint', unit: 'ms' },
+    { key: 'INTERACTION_TO_NEXT_PAINT', name: 'INP', title: 'Interaction to Next Paint', unit: 'ms' },
+    { key: 'CUMULATIVE_LAYOUT_SHIFT_SCORE', name: 'CLS', title: 'Cumulative Layout Shift', unit: 'cls' },
+    { key: 'FIRST_CONTENTFUL_PAINT_MS', name: 'FCP', title: 'First Contentful Paint', unit: 'ms' },
+    { key: 'EXPERIMENTAL_TIME_TO_FIRST_BYTE', name: 'TTFB', title: 'Time to First Byte', unit: 'ms' }
+  ];
+
+  const fieldCategories = {
+    FAST: 'good',
+    AVERAGE: 'needs-improvement',
+    SLOW: 'poor'
+  };
+
   // Utility functions
   function getScoreColor(score) {
     if (score >= 90) return 'good';
@@ -77,271 +169,438 @@
     return 'lighthouse-' + Math.random().toString(36).substr(2, 9);
   }
 
-  // Extract API recommendations from Lighthouse audits
-  function extractApiRecommendations(audits) {
-    const recommendations = {
-      performance: [],
-      accessibility: [],
-      bestPractices: [],
-      seo: []
-    };
-    
-    // Performance recommendations
-    const performanceAudits = [
-      'largest-contentful-paint', 'first-contentful-paint', 'speed-index',
-      'cumulative-layout-shift', 'total-blocking-time', 'render-blocking-resources',
-      'unused-css-rules', 'unused-javascript', 'modern-image-formats',
-      'efficiently-encode-images', 'offscreen-images', 'unminified-css',
-      'unminified-javascript', 'server-response-time', 'uses-text-compression',
-      'uses-rel-preconnect', 'uses-rel-preload', 'font-display'
-    ];
-    
-    performanceAudits.forEach(auditId => {
-      const audit = audits[auditId];
-      if (audit && audit.score !== null && audit.score < 1 && audit.title && audit.description) {
-        const friendlyDescription = getFriendlyDescription(auditId, audit.description);
-        const processedDesc = processDescription(friendlyDescription);
-        recommendations.performance.push({
-          title: audit.title,
-          description: typeof processedDesc === 'string' ? processedDesc : processedDesc.text,
-          learnMoreUrl: typeof processedDesc === 'object' ? processedDesc.learnMoreUrl : null,
-          impact: getImpactLevel(audit.score),
-          score: Math.round(audit.score * 100),
-          displayValue: audit.displayValue || ''
-        });
-      }
+  function escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Lighthouse descriptions are markdown-ish: "... [Learn more about X](https://...)."
+  const markdownLinkRegex = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+  // Absolute http(s) URLs only; anything else (javascript:, data:, relative) is dropped
+  function getSafeUrl(value) {
+    try {
+      const url = new URL(String(value));
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Escape description text, then turn `code` and [text](url) markdown into
+  // markup. Links with unsafe URLs are rendered as plain text.
+  function formatDescriptionHTML(text) {
+    const source = String(text || '');
+    const parts = [];
+    let lastIndex = 0;
+
+    source.replace(markdownLinkRegex, (match, label, url, offset) => {
+      parts.push(formatInlineCode(source.slice(lastIndex, offset)));
+
+      const href = getSafeUrl(url);
+      parts.push(href
+        ? `<a href="${escapeHTML(href)}" target="_blank" rel="noopener noreferrer">${formatInlineCode(label)}</a>`
+        : formatInlineCode(label));
+
+      lastIndex = offset + match.length;
+      return match;
     });
-    
-    // Accessibility recommendations
-    const accessibilityAudits = [
-      'color-contrast', 'image-alt', 'label', 'link-name',
-      'button-name', 'document-title', 'html-has-lang',
-      'meta-viewport', 'heading-order', 'skip-link',
-      'focus-traps', 'focusable-controls', 'interactive-element-affordance'
-    ];
-    
-    accessibilityAudits.forEach(auditId => {
+
+    parts.push(formatInlineCode(source.slice(lastIndex)));
+    return parts.join('');
+  }
+
+  function formatInlineCode(text) {
+    return escapeHTML(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+  }
+
+  function getHostname(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return url;
+    }
+  }
+
+  // Summarize a loadingExperience/originLoadingExperience block into p75 values
+  // and good/needs-improvement/poor shares. Returns null when CrUX has no data.
+  function extractFieldData(experience) {
+    if (!experience || !experience.metrics) return null;
+
+    const metrics = fieldMetrics
+      .filter(metric => experience.metrics[metric.key])
+      .map(metric => {
+        const data = experience.metrics[metric.key];
+        const distributions = (data.distributions || []).map(bucket => Number(bucket.proportion) || 0);
+
+        return {
+          name: metric.name,
+          title: metric.title,
+          // PSI reports CLS multiplied by 100
+          value: metric.unit === 'cls' ? Number(data.percentile) / 100 : Number(data.percentile),
+          unit: metric.unit,
+          rating: fieldCategories[data.category] || 'unknown',
+          distribution: {
+            good: distributions[0] || 0,
+            needsImprovement: distributions[1] || 0,
+            poor: distributions[2] || 0
+          }
+        };
+      });
+
+    if (metrics.length === 0) return null;
+
+    return {
+      overall: fieldCategories[experience.overall_category] || 'unknown',
+      metrics
+    };
+  }
+
+  function formatFieldValue(metric) {
+    if (metric.unit === 'cls') return metric.value.toFixed(2);
+    if (metric.value >= 1000) return `${(metric.value / 1000).toFixed(1)} s`;
+    return `${Math.round(metric.value)} ms`;
+  }
+
+  // Only base64 images are rendered; anything else in these fields is ignored
+  const imageDataUrlRegex = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+  // Final render and load filmstrip from the final-screenshot / screenshot-thumbnails audits
+  function extractScreenshots(audits) {
+    const finalScreenshot = audits['final-screenshot']?.details?.data;
+    const frames = audits['screenshot-thumbnails']?.details?.items || [];
+
+    const filmstrip = frames
+      .filter(frame => imageDataUrlRegex.test(frame.data || ''))
+      .map(frame => ({ timing: Number(frame.timing) || 0, data: frame.data }));
+    const final = imageDataUrlRegex.test(finalScreenshot || '') ? finalScreenshot : null;
+
+    return final || filmstrip.length > 0 ? { final, filmstrip } : null;
+  }
+
+  // Audit IDs that scored in the green (>= 0.9), used to compare against competitors
+  function extractPassedAudits(audits) {
+    return Object.keys(audits).filter(auditId => {
       const audit = audits[auditId];
-      if (audit && audit.score !== null && audit.score < 1 && audit.title && audit.description) {
-        const friendlyDescription = getFriendlyDescription(auditId, audit.description);
-        const processedDesc = processDescription(friendlyDescription);
-        recommendations.accessibility.push({
-          title: audit.title,
-          description: typeof processedDesc === 'string' ? processedDesc : processedDesc.text,
-          learnMoreUrl: typeof processedDesc === 'object' ? processedDesc.learnMoreUrl : null,
-          impact: getImpactLevel(audit.score),
-          score: Math.round(audit.score * 100),
-          displayValue: audit.displayValue || ''
-        });
-      }
+      return audit && typeof audit.score === 'number' && audit.score >= 0.9;
     });
-    
-    // Best Practices recommendations
-    const bestPracticesAudits = [
-      'is-on-https', 'uses-http2', 'no-vulnerable-libraries',
-      'external-anchors-use-rel-noopener', 'geolocation-on-start',
-      'notification-on-start', 'no-document-write', 'js-libraries'
-    ];
-    
-    bestPracticesAudits.forEach(auditId => {
-      const audit = audits[auditId];
-      if (audit && audit.score !== null && audit.score < 1 && audit.title && audit.description) {
-        const friendlyDescription = getFriendlyDescription(auditId, audit.description);
-        const processedDesc = processDescription(friendlyDescription);
-        recommendations.bestPractices.push({
-          title: audit.title,
-          description: typeof processedDesc === 'string' ? processedDesc : processedDesc.text,
-          learnMoreUrl: typeof processedDesc === 'object' ? processedDesc.learnMoreUrl : null,
-          impact: getImpactLevel(audit.score),
-          score: Math.round(audit.score * 100),
-          displayValue: audit.displayValue || ''
-        });
+  }
+
+  // Widget category key -> Lighthouse category ID
+  const lighthouseCategories = {
+    performance: 'performance',
+    accessibility: 'accessibility',
+    bestPractices: 'best-practices',
+    seo: 'seo'
+  };
+
+  // Audits that report no pass/fail result of their own
+  const unscoredDisplayModes = ['informative', 'manual', 'notApplicable', 'error'];
+
+  function isFailingAudit(audit) {
+    return Boolean(audit) &&
+      typeof audit.score === 'number' &&
+      audit.score < 1 &&
+      !unscoredDisplayModes.includes(audit.scoreDisplayMode) &&
+      Boolean(audit.title && audit.description);
+  }
+
+  // Audit IDs to check for a category: catalog entries first (in catalog
+  // order), then anything else Lighthouse scores in that category
+  function getCategoryAuditIds(key, categories) {
+    const auditIds = new Set();
+
+    Object.entries(CONFIG.auditCatalog || {}).forEach(([auditId, entry]) => {
+      if (entry && entry.categories && entry.categories.includes(key)) {
+        auditIds.add(auditId);
       }
     });
-    
-    // SEO recommendations
-    const seoAudits = [
-      'document-title', 'meta-description', 'http-status-code',
-      'link-text', 'is-crawlable', 'robots-txt', 'image-alt',
-      'hreflang', 'canonical', 'font-size', 'tap-targets'
-    ];
-    
-    seoAudits.forEach(auditId => {
-      const audit = audits[auditId];
-      if (audit && audit.score !== null && audit.score < 1 && audit.title && audit.description) {
-        const friendlyDescription = getFriendlyDescription(auditId, audit.description);
-        const processedDesc = processDescription(friendlyDescription);
-        recommendations.seo.push({
-          title: audit.title,
-          description: typeof processedDesc === 'string' ? processedDesc : processedDesc.text,
-          learnMoreUrl: typeof processedDesc === 'object' ? processedDesc.learnMoreUrl : null,
-          impact: getImpactLevel(audit.score),
-          score: Math.round(audit.score * 100),
-          displayValue: audit.displayValue || ''
-        });
-      }
+
+    const auditRefs = categories[lighthouseCategories[key]]?.auditRefs || [];
+    auditRefs.forEach(ref => auditIds.add(ref.id));
+
+    return auditIds;
+  }
+
+  // Share of the category score an audit carries (0-1), from Lighthouse's auditRefs
+  function getAuditWeight(auditId, category) {
+    const auditRefs = category?.auditRefs || [];
+    const totalWeight = auditRefs.reduce((total, ref) => total + (ref.weight || 0), 0);
+    const ref = auditRefs.find(auditRef => auditRef.id === auditId);
+
+    return ref && totalWeight > 0 ? (ref.weight || 0) / totalWeight : 0;
+  }
+
+  // Category points we'd expect back by fixing the audit. Weighted audits give
+  // back exactly what they cost; zero-weight opportunities are converted from
+  // their savings (roughly 1 point per 200 ms, or per 100 KB when only bytes are known)
+  function getExpectedGain(audit, weight, savingsMs, savingsBytes) {
+    const weightedGain = weight * (1 - audit.score) * 100;
+    const savingsGain = savingsMs > 0 ? savingsMs / 200 : savingsBytes / (100 * 1024);
+
+    return Math.max(weightedGain, savingsGain);
+  }
+
+  function createRecommendation(auditId, audit, key, categories) {
+    const entry = (CONFIG.auditCatalog || {})[auditId] || {};
+    const { text, learnMoreUrl } = processDescription(entry.copy?.[key] || audit.description);
+    const weight = getAuditWeight(auditId, categories[lighthouseCategories[key]]);
+    const savingsMs = audit.details?.overallSavingsMs || 0;
+    const savingsBytes = audit.details?.overallSavingsBytes || 0;
+    const expectedGain = getExpectedGain(audit, weight, savingsMs, savingsBytes);
+
+    return {
+      id: auditId,
+      title: audit.title,
+      description: text,
+      learnMoreUrl,
+      // Audits Lighthouse doesn't weigh or estimate fall back to the catalog's label
+      impact: expectedGain > 0 ? getImpactLevel(expectedGain) : (entry.impact || 'Low'),
+      expectedGain,
+      weight,
+      savingsMs,
+      savingsBytes,
+      score: Math.round(audit.score * 100),
+      displayValue: audit.displayValue || '',
+      details: extractAuditDetails(audit.details)
+    };
+  }
+
+  // Extract API recommendations from Lighthouse audits
+  function extractApiRecommendations(audits, categories = {}) {
+    const recommendations = {};
+
+    Object.keys(lighthouseCategories).forEach(key => {
+      recommendations[key] = [];
+
+      getCategoryAuditIds(key, categories).forEach(auditId => {
+        const audit = audits[auditId];
+        if (isFailingAudit(audit)) {
+          recommendations[key].push(createRecommendation(auditId, audit, key, categories));
+        }
+      });
+
+      // Biggest expected gain first; ties keep catalog order
+      recommendations[key].sort((a, b) => b.expectedGain - a.expectedGain);
     });
-    
+
     return recommendations;
   }
   
-  // Determine impact level based on audit score
-  function getImpactLevel(score) {
-    if (score === 0) return 'High';
-    if (score < 0.5) return 'Medium';
+  // Determine impact level from the category points an audit is expected to give back
+  function getImpactLevel(expectedGain) {
+    if (expectedGain >= 5) return 'High';
+    if (expectedGain >= 1.5) return 'Medium';
     return 'Low';
   }
 
-  // Process description text and convert URLs to "Learn More" links
-  function processDescription(description) {
-    if (!description) return '';
-    
-    // Regular expression to find URLs - more specific to avoid capturing trailing punctuation
-    const urlRegex = /(https?:\/\/[^\s).,;]+)/g;
-    const urls = description.match(urlRegex);
-    
-    if (!urls || urls.length === 0) {
-      return description;
+  // "~1.8 s faster · ~420 KB smaller"
+  function formatSavings(recommendation) {
+    const parts = [];
+
+    if (recommendation.savingsMs >= 10) {
+      parts.push(recommendation.savingsMs >= 1000
+        ? `~${(recommendation.savingsMs / 1000).toFixed(1)} s faster`
+        : `~${Math.round(recommendation.savingsMs / 10) * 10} ms faster`);
     }
-    
-    // Remove URLs from description and clean up
-    let cleanDescription = description.replace(urlRegex, '').trim();
-    
-    // Clean up any trailing punctuation, parentheses, or extra spaces
-    cleanDescription = cleanDescription.replace(/[.,)\s]+$/, '').trim();
-    
-    // Return description with Learn More link
+
+    if (recommendation.savingsBytes >= 1024) {
+      parts.push(recommendation.savingsBytes >= 1024 * 1024
+        ? `~${(recommendation.savingsBytes / (1024 * 1024)).toFixed(1)} MB smaller`
+        : `~${Math.round(recommendation.savingsBytes / 1024)} KB smaller`);
+    }
+
+    return parts.join(' · ');
+  }
+
+  // Rows shown per "affected items" table and characters per cell
+  const MAX_DETAIL_ITEMS = 10;
+  const MAX_DETAIL_TEXT = 120;
+
+  // The table behind an audit (offending images, scripts, DOM nodes), or null
+  function extractAuditDetails(details) {
+    if (!details) return null;
+
+    // `list` details wrap one or more tables
+    const table = details.type === 'list'
+      ? (details.items || []).find(item => item.type === 'table')
+      : details;
+
+    if (!table || (table.type !== 'table' && table.type !== 'opportunity')) return null;
+
+    // Thumbnails would load third-party images into the page, so they're skipped
+    const headings = (table.headings || [])
+      .map(heading => ({
+        key: heading.key,
+        label: heading.label || heading.text || '',
+        valueType: heading.valueType || heading.itemType
+      }))
+      .filter(heading => heading.key && heading.valueType !== 'thumbnail');
+    const items = table.items || [];
+
+    if (headings.length === 0 || items.length === 0) return null;
+
     return {
-      text: cleanDescription,
-      learnMoreUrl: urls[0] // Use the first URL found
+      headings,
+      items: items.slice(0, MAX_DETAIL_ITEMS),
+      // Shared reports only keep the first rows but remember how many there were
+      totalItems: Math.max(Number(table.itemCount) || 0, items.length)
     };
   }
 
-  // Get user-friendly descriptions for common audit recommendations
-  function getFriendlyDescription(auditId, originalDescription) {
-    const friendlyDescriptions = {
-      // Performance
-      'largest-contentful-paint': 'The main content on your page takes too long to load. This affects how quickly users can see and interact with your site.',
-      'first-contentful-paint': 'Your page takes too long to show any content to users. Faster loading improves user experience.',
-      'speed-index': 'Your page content loads slowly. Optimizing images and code can make your site feel much faster.',
-      'cumulative-layout-shift': 'Elements on your page move around while loading, which can be frustrating for users trying to click buttons or read content.',
-      'total-blocking-time': 'Scripts on your page are preventing users from interacting with it quickly. Optimizing JavaScript will make your site more responsive.',
-      'render-blocking-resources': 'Some files are preventing your page from loading quickly. Moving or optimizing these files will speed up your site.',
-      'unused-css-rules': 'Your site is loading CSS styles that aren\'t being used, which slows down loading time.',
-      'unused-javascript': 'Your site is loading JavaScript code that isn\'t being used, which affects performance.',
-      'modern-image-formats': 'Your images could be in more efficient formats (like WebP) to load faster and use less bandwidth.',
-      'efficiently-encode-images': 'Your images aren\'t optimized, making them larger than necessary and slower to load.',
-      'offscreen-images': 'Images that aren\'t visible when the page first loads should be loaded later to improve initial loading speed.',
-      'unminified-css': 'Your CSS files contain extra spaces and comments that make them larger than necessary.',
-      'unminified-javascript': 'Your JavaScript files contain extra spaces and comments that make them larger than necessary.',
-      'server-response-time': 'Your web server takes too long to respond, which delays page loading for all visitors.',
-      'uses-text-compression': 'Your text files aren\'t compressed, making them take longer to download.',
-      'uses-rel-preconnect': 'Your site could load faster by connecting to external services earlier in the loading process.',
-      'uses-rel-preload': 'Important resources could be loaded earlier to improve page speed.',
-      'font-display': 'Your custom fonts could be set up to show text faster while the fonts are loading.',
-
-      // Accessibility
-      'color-contrast': 'Some text on your site is hard to read due to insufficient color contrast, making it difficult for users with vision impairments.',
-      'image-alt': 'Some images are missing descriptions, making them inaccessible to screen readers and users with visual impairments.',
-      'label': 'Some form fields are missing labels, making it difficult for users with disabilities to understand what information to enter.',
-      'link-name': 'Some links don\'t have descriptive text, making it unclear where they lead for screen reader users.',
-      'button-name': 'Some buttons don\'t have clear names, making it confusing for users with disabilities to understand their purpose.',
-      'document-title': 'Your page is missing a title or has a generic title, which affects accessibility and SEO.',
-      'html-has-lang': 'Your page doesn\'t specify its language, which can cause problems for screen readers and translation tools.',
-      'meta-viewport': 'Your page isn\'t set up properly for mobile devices, which can cause accessibility and usability issues.',
-      'heading-order': 'Your page headings aren\'t in the correct order, which can confuse screen reader users navigating your content.',
-      'skip-link': 'Your page is missing a "skip to main content" link, making navigation difficult for keyboard users.',
-
-      // Best Practices
-      'is-on-https': 'Your website isn\'t using HTTPS, which means data sent between users and your site isn\'t encrypted and secure.',
-      'uses-http2': 'Your server could use HTTP/2 to load your site faster and more efficiently.',
-      'no-vulnerable-libraries': 'Your site is using outdated code libraries that have known security vulnerabilities.',
-      'external-anchors-use-rel-noopener': 'Links to other websites should be set up more securely to protect your users.',
-      'geolocation-on-start': 'Your site asks for location permission immediately, which can be annoying and suspicious to users.',
-      'notification-on-start': 'Your site asks for notification permission immediately, which creates a poor user experience.',
-      'no-document-write': 'Your site uses outdated JavaScript methods that can slow down page loading.',
-      'js-libraries': 'Your site is using outdated JavaScript libraries that should be updated for better performance and security.',
-
-      // SEO
-      'document-title': 'Your page title is missing or not optimized, which hurts your search engine rankings.',
-      'meta-description': 'Your page is missing a meta description, which is important for search engine results.',
-      'http-status-code': 'Your page isn\'t returning the correct status code, which can hurt search engine indexing.',
-      'link-text': 'Some of your links use generic text like "click here" instead of descriptive text that helps with SEO.',
-      'is-crawlable': 'Search engines are being blocked from indexing your page, which will hurt your search rankings.',
-      'robots-txt': 'Your robots.txt file has issues that might prevent search engines from properly indexing your site.',
-      'hreflang': 'If your site serves multiple languages, it needs proper language tags for international SEO.',
-      'canonical': 'Your page needs canonical tags to prevent duplicate content issues in search results.',
-      'font-size': 'Some text on your page is too small for mobile users, which can hurt mobile search rankings.',
-      'tap-targets': 'Some buttons and links on mobile are too small or too close together, making them hard to tap.'
-    };
+  function truncateText(value, maxLength = MAX_DETAIL_TEXT) {
+    const text = String(value);
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+  }
+
+  // Long URLs keep their start and the file name at the end
+  function truncateUrl(value, maxLength = MAX_DETAIL_TEXT) {
+    const text = String(value);
+    if (text.length <= maxLength) return text;
+
+    const tailLength = Math.floor(maxLength / 2);
+    return `${text.slice(0, maxLength - tailLength - 1)}…${text.slice(-tailLength)}`;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${Math.round(bytes)} B`;
+  }
+
+  // Escaped HTML for one table cell
+  function formatDetailValue(value, valueType) {
+    if (value === null || value === undefined || value === '') return '';
+
+    if (typeof value === 'object') {
+      switch (value.type) {
+        case 'node':
+          return `
+            ${value.nodeLabel ? `<span class="node-label">${escapeHTML(truncateText(value.nodeLabel))}</span>` : ''}
+            ${value.snippet ? `<code>${escapeHTML(truncateText(value.snippet))}</code>` : ''}
+          `;
+        case 'source-location':
+          // Lighthouse lines and columns are zero-based
+          return `<span title="${escapeHTML(value.url)}">${escapeHTML(truncateUrl(`${value.url}:${value.line + 1}:${value.column + 1}`))}</span>`;
+        case 'link':
+          return escapeHTML(truncateText(value.text || value.url || ''));
+        case 'code':
+        case 'numeric':
+        case 'url':
+          return formatDetailValue(value.value, value.type);
+        default:
+          // Sub-item tables and debug data aren't shown
+          return '';
+      }
+    }
+
+    switch (valueType) {
+      case 'bytes':
+        return formatBytes(Number(value));
+      case 'ms':
+      case 'timespanMs':
+        return `${Math.round(Number(value)).toLocaleString()} ms`;
+      case 'url':
+        return `<span title="${escapeHTML(value)}">${escapeHTML(truncateUrl(value))}</span>`;
+      case 'code':
+        return `<code>${escapeHTML(truncateText(value))}</code>`;
+      default:
+        return typeof value === 'number'
+          ? value.toLocaleString(undefined, { maximumFractionDigits: 3 })
+          : escapeHTML(truncateText(value));
+    }
+  }
+
+  function createAuditDetailsTableHTML(details, className) {
+    const hiddenItems = details.totalItems - details.items.length;
+
+    return `
+      <table class="${className}">
+        <thead>
+          <tr>${details.headings.map(heading => `<th scope="col">${escapeHTML(heading.label)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${details.items.map(item => `
+            <tr>${details.headings.map(heading => `<td>${formatDetailValue(item[heading.key], heading.valueType)}</td>`).join('')}</tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${hiddenItems > 0 ? `<p class="${className}-more">+ ${hiddenItems} more not shown</p>` : ''}
+    `;
+  }
+
+  // Pull the trailing "Learn more" link out of a description so it can be shown
+  // as its own button; any other links stay in the text
+  function processDescription(description) {
+    let learnMoreUrl = null;
 
-    return friendlyDescriptions[auditId] || originalDescription;
+    const text = String(description || '')
+      .replace(/\s*\[(Learn[^\]]*)\]\(([^)\s]+)\)\.?/i, (match, label, url) => {
+        learnMoreUrl = getSafeUrl(url);
+        return learnMoreUrl ? '' : match;
+      })
+      .trim();
+
+    return { text, learnMoreUrl };
+  }
+
+  // Turn an error response from /api/lighthouse(/site) into an Error with
+  // friendly copy, the error code and, for rate limits, the seconds to wait
+  async function createApiError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error('API Error Response:', errorData);
+
+    let error;
+    if (errorData.code === 'rate_limited') {
+      // Our own per-visitor limit: tell the widget how long to wait
+      error = new Error('You\'ve run several analyses in a short time.');
+      error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || errorData.retryAfter || 60;
+    } else if (errorMessages[errorData.code]) {
+      error = new Error(errorMessages[errorData.code]);
+    } else if (response.status === 403) {
+      error = new Error('API key is invalid or quota exceeded. Please check your Google API key.');
+    } else if (response.status === 429) {
+      error = new Error('API rate limit exceeded. Please try again later.');
+    } else {
+      error = new Error(`API error: ${response.status} - ${errorData.error || 'Unknown error'}`);
+    }
+
+    error.code = errorData.code;
+    return error;
   }
 
   // API call to Cloudflare Pages Function
-  async function callLighthouseAPI(targetUrl) {
+  // Options: { strategy: 'mobile' | 'desktop', fresh: true to bypass the server-side cache,
+  //           signal: AbortSignal to cancel the request }
+  async function callLighthouseAPI(targetUrl, options = {}) {
     try {
-      console.log('Calling Lighthouse API for:', targetUrl);
-      
       const requestedCategories = ['performance', 'accessibility', 'best-practices', 'seo'];
-      const strategy = 'mobile';
+      const strategy = options.strategy || CONFIG.defaultStrategy;
       
       const response = await fetch(CONFIG.apiEndpoint, {
         method: 'POST',
+        signal: options.signal,
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           url: targetUrl,
           strategy: strategy,
-          categories: requestedCategories
+          categories: requestedCategories,
+          fresh: Boolean(options.fresh)
         })
       });
       
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('API Error Response:', errorData);
-        
-        if (response.status === 403) {
-          throw new Error('API key is invalid or quota exceeded. Please check your Google API key.');
-        } else if (response.status === 429) {
-          throw new Error('API rate limit exceeded. Please try again later.');
-        } else {
-          throw new Error(`API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-        }
+        throw await createApiError(response);
       }
       
       const data = await response.json();
-      
-      if (!data.lighthouseResult) {
-        throw new Error('No Lighthouse results returned from API');
-      }
-      
-      const lighthouseResult = data.lighthouseResult;
-      const categoryResults = lighthouseResult.categories || {};
-      
-      // Extract API recommendations from audits
-      const audits = lighthouseResult.audits || {};
-      const apiRecommendations = extractApiRecommendations(audits);
-      console.log(audits)
-      console.log(apiRecommendations)
-      
-      const scores = {
-        performance: Math.round((categoryResults.performance?.score || 0) * 100),
-        accessibility: Math.round((categoryResults.accessibility?.score || 0) * 100),
-        bestPractices: Math.round((categoryResults['best-practices']?.score || 0) * 100),
-        seo: Math.round((categoryResults.seo?.score || 0) * 100),
-        url: targetUrl,
-        timestamp: new Date().toISOString(),
-        source: 'Google PageSpeed Insights',
-        strategy: strategy,
-        loadingExperience: data.loadingExperience?.overall_category || 'Unknown',
-        originLoadingExperience: data.originLoadingExperience?.overall_category || 'Unknown',
-        apiRecommendations: apiRecommendations
-      };
-      
-      console.log('Successfully got Lighthouse data:', scores);
-      return scores;
+      return buildScores(data, targetUrl, strategy);
       
     } catch (error) {
       console.error('PageSpeed Insights API Error:', error);
@@ -349,110 +608,1296 @@
     }
   }
 
+  // Audit several pages of the site in one request (data-mode="site").
+  // The averages are copied to the top level so code that reads a run's
+  // scores (events, lead summary) treats the site like a single page.
+  async function callSiteAuditAPI(targetUrl, options = {}) {
+    const response = await fetch(CONFIG.siteAuditEndpoint, {
+      method: 'POST',
+      signal: options.signal,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        url: targetUrl,
+        strategy: options.strategy || CONFIG.defaultStrategy,
+        maxPages: CONFIG.siteAuditMaxPages,
+        fresh: Boolean(options.fresh)
+      })
+    });
+
+    if (!response.ok) {
+      throw await createApiError(response);
+    }
+
+    const data = await response.json();
+    return {
+      ...data.averages,
+      mode: 'site',
+      url: targetUrl,
+      strategy: data.strategy,
+      timestamp: data.analyzedAt,
+      cached: false,
+      source: data.source,
+      pages: data.pages || [],
+      worstPages: data.worstPages || [],
+      recurringIssues: data.recurringIssues || []
+    };
+  }
+
+  // Local SEO checks for the analyzed page. They're an extra, so failures
+  // resolve to null instead of failing the analysis; cancellation still aborts it.
+  // Without a city or service the server falls back to the page's JSON-LD.
+  async function callLocalSeoAPI(targetUrl, signal, { city, service } = {}) {
+    try {
+      const response = await fetch(CONFIG.localSeoEndpoint, {
+        method: 'POST',
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ url: targetUrl, city, service })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Local SEO API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return typeof data.score === 'number' && Array.isArray(data.checks) ? data : null;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error('Local SEO checks unavailable:', error);
+      return null;
+    }
+  }
+
+  // The run that carries the local SEO result: the prospect's site in
+  // comparisons, otherwise the results object itself (mobile/desktop share one)
+  function getLocalSeoTarget(results) {
+    return results.mode === 'compare' ? results.sites[0].result : results;
+  }
+
+  // undefined (not null) when there's no result, so JSON payloads leave it out
+  function getLocalSeoScore(results) {
+    if (results.mode === 'site') return undefined;
+    return getLocalSeoTarget(results).localSeo?.score;
+  }
+
+  // Turn a PageSpeed Insights response (live, cached or shared) into the
+  // scores object the rendering functions work with
+  function buildScores(data, targetUrl, strategy) {
+    if (!data.lighthouseResult) {
+      throw new Error('No Lighthouse results returned from API');
+    }
+    
+    const lighthouseResult = data.lighthouseResult;
+    const categoryResults = lighthouseResult.categories || {};
+    
+    // Extract API recommendations from audits
+    const audits = lighthouseResult.audits || {};
+    const apiRecommendations = extractApiRecommendations(audits, categoryResults);
+    
+    const scores = {
+      performance: Math.round((categoryResults.performance?.score || 0) * 100),
+      accessibility: Math.round((categoryResults.accessibility?.score || 0) * 100),
+      bestPractices: Math.round((categoryResults['best-practices']?.score || 0) * 100),
+      seo: Math.round((categoryResults.seo?.score || 0) * 100),
+      url: targetUrl,
+      timestamp: data.analysisUTCTimestamp || new Date().toISOString(),
+      source: 'Google PageSpeed Insights',
+      strategy: strategy,
+      loadingExperience: data.loadingExperience?.overall_category || 'Unknown',
+      originLoadingExperience: data.originLoadingExperience?.overall_category || 'Unknown',
+      fieldData: {
+        // When a page has too little traffic PSI substitutes origin data and flags it
+        page: data.loadingExperience?.origin_fallback ? null : extractFieldData(data.loadingExperience),
+        origin: extractFieldData(data.originLoadingExperience)
+      },
+      cached: Boolean(data.cached),
+      cachedAt: data.cachedAt || null,
+      reportId: data.reportId || null,
+      shared: Boolean(data.sharedAt),
+      sharedAt: data.sharedAt || null,
+      apiRecommendations: apiRecommendations,
+      passedAudits: extractPassedAudits(audits),
+      screenshots: extractScreenshots(audits)
+    };
+    
+    return scores;
+  }
+
+  // Load a saved report from GET /api/lighthouse/:id
+  async function callSharedReportAPI(reportId) {
+    const response = await fetch(`${CONFIG.apiEndpoint}/${encodeURIComponent(reportId)}`);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      console.error('API Error Response:', errorData);
+
+      if (response.status === 404) {
+        throw new Error('This report link has expired or doesn\'t exist. Run a new analysis below.');
+      }
+      throw new Error(`API error: ${response.status} - ${errorData.error || 'Unknown error'}`);
+    }
+
+    const data = await response.json();
+    return buildScores(data, data.url, data.strategy);
+  }
+
+  // Saved local SEO checks from GET /api/lighthouse/local-seo?id=<id>. Like
+  // history they're optional, so a missing or expired result resolves to null.
+  async function callSharedLocalSeoAPI(localSeoId) {
+    try {
+      const params = new URLSearchParams({ id: localSeoId });
+      const response = await fetch(`${CONFIG.localSeoEndpoint}?${params}`);
+
+      if (!response.ok) {
+        throw new Error(`Local SEO API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return typeof data.score === 'number' && Array.isArray(data.checks) ? data : null;
+    } catch (error) {
+      console.error('Shared local SEO checks unavailable:', error);
+      return null;
+    }
+  }
+
+  // Rebuild single, mobile/desktop or competitor results from shared report IDs
+  async function loadSharedResults(reportIds) {
+    const runs = await Promise.all(reportIds.map(callSharedReportAPI));
+    const [first, second] = runs;
+    const shared = { shared: true, sharedAt: first.sharedAt, cached: false, cachedAt: null };
+
+    if (runs.length === 1) {
+      return first;
+    }
+
+    if (runs.length === 2 && first.url === second.url && first.strategy !== second.strategy) {
+      const mobile = first.strategy === 'mobile' ? first : second;
+      const desktop = first.strategy === 'mobile' ? second : first;
+
+      return { ...shared, url: first.url, timestamp: mobile.timestamp, strategy: 'both', runs: { mobile, desktop } };
+    }
+
+    return {
+      ...shared,
+      mode: 'compare',
+      url: first.url,
+      competitors: runs.slice(1).map(run => run.url),
+      timestamp: first.timestamp,
+      strategy: first.strategy,
+      sites: runs.map((run, index) => ({
+        url: run.url,
+        label: index === 0 ? 'Your site' : `Competitor ${index}`,
+        result: run,
+        error: null
+      }))
+    };
+  }
+
+  // Score snapshots recorded for the run's domain, up to and including the run
+  // itself (shared reports show the trend as it was when they were saved)
+  async function callHistoryAPI(run, signal) {
+    const params = new URLSearchParams({ url: run.url, strategy: run.strategy });
+    const response = await fetch(`${CONFIG.historyEndpoint}?${params}`, { signal });
+
+    if (!response.ok) {
+      throw new Error(`History API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const snapshots = (data.snapshots || []).filter(snapshot => snapshot.timestamp <= run.timestamp);
+
+    // The proxy records the snapshot in the background, so it may not be there yet
+    if (!snapshots.some(snapshot => snapshot.timestamp === run.timestamp)) {
+      const { timestamp, url, performance, accessibility, bestPractices, seo } = run;
+      snapshots.push({ timestamp, url, performance, accessibility, bestPractices, seo });
+    }
+
+    return snapshots;
+  }
+
+  // Attach domain history to each run; trends are optional, so failures are ignored
+  async function attachHistory(results, signal) {
+    if (results.mode === 'compare' || results.mode === 'site') return;
+
+    const runs = results.runs ? [results.runs.mobile, results.runs.desktop] : [results];
+    await Promise.all(runs.map(async run => {
+      try {
+        run.history = await callHistoryAPI(run, signal);
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.error('Score history unavailable:', error);
+        run.history = null;
+      }
+    }));
+  }
+
+  // Report IDs needed to rebuild these results from a share link, or null
+  // when any run wasn't saved (e.g. report storage failed)
+  function getReportIds(results) {
+    let runs = [results];
+    if (results.runs) {
+      runs = [results.runs.mobile, results.runs.desktop];
+    } else if (results.mode === 'compare') {
+      runs = results.sites.filter(site => site.result).map(site => site.result);
+    }
+
+    const ids = runs.map(run => run.reportId);
+    return ids.every(Boolean) ? ids : null;
+  }
+
+  function getShareUrl(results) {
+    const ids = getReportIds(results);
+    if (!ids) return null;
+
+    const shareUrl = new URL(window.location.href);
+    shareUrl.hash = '';
+    shareUrl.searchParams.delete('report');
+    shareUrl.searchParams.delete('localSeo');
+
+    // IDs are plain base62, so the comma list stays readable unencoded
+    const separator = shareUrl.search ? '&' : '?';
+    const localSeoId = results.mode === 'site' ? null : getLocalSeoTarget(results).localSeo?.reportId;
+    const localSeoParam = localSeoId ? `&localSeo=${localSeoId}` : '';
+    return `${shareUrl.toString()}${separator}report=${ids.join(',')}${localSeoParam}`;
+  }
+
+  // ?report=<id>[,<id>...] from the page URL
+  function getSharedReportIdsFromPage() {
+    const param = new URLSearchParams(window.location.search).get('report');
+    if (!param) return null;
+
+    const ids = param.split(',')
+      .map(id => id.trim())
+      .filter(id => /^[0-9A-Za-z]{10}$/.test(id))
+      .slice(0, 1 + CONFIG.maxCompetitors);
+
+    return ids.length > 0 ? ids : null;
+  }
+
+  // &localSeo=<id> from the page URL, next to ?report=
+  function getSharedLocalSeoIdFromPage() {
+    const id = new URLSearchParams(window.location.search).get('localSeo');
+    return id && /^[0-9A-Za-z]{10}$/.test(id) ? id : null;
+  }
+
   // Create the widget HTML
-  function createWidgetHTML(title) {
+  // Compare mode adds optional competitor URL fields under the main URL
+  function createWidgetHTML(title, mode = 'single', localTerms = {}) {
     const widgetId = generateId();
+    // Site audits don't run the local SEO checks, so they have no use for these
+    const localTermFields = mode === 'site'
+      ? ''
+      : `
+          <div class="lighthouse-widget__input-row">
+            <div class="lighthouse-widget__input-group">
+              <label class="lighthouse-widget__label" for="${widgetId}-city">
+                City you serve <span class="lighthouse-widget__label-hint">(optional)</span>
+              </label>
+              <input
+                type="text"
+                id="${widgetId}-city"
+                class="lighthouse-widget__input lighthouse-widget__input--city"
+                placeholder="Indianapolis"
+                maxlength="100"
+                value="${escapeHTML(localTerms.city || '')}"
+              />
+            </div>
+            <div class="lighthouse-widget__input-group">
+              <label class="lighthouse-widget__label" for="${widgetId}-service">
+                Main service <span class="lighthouse-widget__label-hint">(optional)</span>
+              </label>
+              <input
+                type="text"
+                id="${widgetId}-service"
+                class="lighthouse-widget__input lighthouse-widget__input--service"
+                placeholder="Roof repair"
+                maxlength="100"
+                value="${escapeHTML(localTerms.service || '')}"
+              />
+            </div>
+          </div>
+        `;
+    const competitorFields = mode === 'compare'
+      ? Array.from({ length: CONFIG.maxCompetitors }, (_, index) => `
+          <div class="lighthouse-widget__input-group">
+            <label class="lighthouse-widget__label" for="${widgetId}-competitor-${index + 1}">
+              Competitor ${index + 1} <span class="lighthouse-widget__label-hint">(optional)</span>
+            </label>
+            <input
+              type="text"
+              id="${widgetId}-competitor-${index + 1}"
+              class="lighthouse-widget__input lighthouse-widget__input--competitor"
+              placeholder="competitor${index + 1}.com"
+            />
+          </div>
+        `).join('')
+      : '';
     
     return `
       <div class="lighthouse-widget" id="${widgetId}">
-        <h2 class="lighthouse-widget__title">${title}</h2>
+        <h2 class="lighthouse-widget__title">${escapeHTML(title)}</h2>
         <form class="lighthouse-widget__form">
           <div class="lighthouse-widget__input-group">
-            <label class="lighthouse-widget__label">Website URL</label>
+            <label class="lighthouse-widget__label" for="${widgetId}-url">${mode === 'compare' ? 'Your Website URL' : 'Website URL'}</label>
             <input
               type="text"
-              class="lighthouse-widget__input"
+              id="${widgetId}-url"
+              class="lighthouse-widget__input lighthouse-widget__input--primary"
               placeholder="example.com"
               required
             />
           </div>
+          ${localTermFields}
+          ${competitorFields}
+          ${mode === 'site' ? `
+            <p class="lighthouse-widget__input-hint">
+              We'll find your pages through your sitemap and audit up to ${CONFIG.siteAuditMaxPages} of them. This can take a few minutes.
+            </p>
+          ` : ''}
           <button type="submit" class="lighthouse-widget__submit-btn">
             Analyze Website
           </button>
+          <div class="lighthouse-widget__notice" role="status" aria-live="polite" style="display: none;"></div>
           <div class="lighthouse-widget__loading" style="display: none;">
             <div class="lighthouse-widget__loading-spinner"></div>
             <p class="lighthouse-widget__loading-text">Analyzing website performance...</p>
+            <span class="lighthouse-widget__loading-elapsed"></span>
+            <button type="button" class="lighthouse-widget__cancel-btn">Cancel</button>
           </div>
         </form>
         <div class="lighthouse-widget__results" style="display: none;">
           <h3 class="lighthouse-widget__results-title">Results</h3>
           <div class="lighthouse-widget__results-grid"></div>
+          <div class="lighthouse-widget__lead-gate" style="display: none;"></div>
+          <div class="lighthouse-widget__visuals"></div>
+          <div class="lighthouse-widget__field-data"></div>
           <div class="lighthouse-widget__results-meta"></div>
+          <div class="lighthouse-widget__results-actions">
+            <button type="button" class="lighthouse-widget__action-btn" data-report-action="download">Export report</button>
+            <button type="button" class="lighthouse-widget__action-btn lighthouse-widget__action-btn--secondary" data-report-action="print">Print / save as PDF</button>
+            <button type="button" class="lighthouse-widget__action-btn lighthouse-widget__action-btn--secondary" data-report-action="share">Copy share link</button>
+          </div>
         </div>
       </div>
     `;
   }
 
-  // Create results HTML
-  function createResultsHTML(results) {
+  // Create the recommendations list (or the "great job" message) for one category
+  function createRecommendationsHTML(recommendations, info, heading = 'Specific recommendations for your site:') {
+    if (!recommendations || recommendations.length === 0) {
+      return `
+        <div class="lighthouse-widget__no-recommendations">
+          <div class="lighthouse-widget__success-message">
+            <div class="lighthouse-widget__success-icon">✓</div>
+            <h6 class="lighthouse-widget__success-title">Great job!</h6>
+            <p class="lighthouse-widget__success-description">
+              No specific issues found in this category. Your site is performing well for ${info.title.toLowerCase()}.
+            </p>
+          </div>
+        </div>
+      `;
+    }
+
+    return `
+      <h5 class="lighthouse-widget__suggestions-title">${heading}</h5>
+      <div class="lighthouse-widget__api-recommendations">
+        <div class="lighthouse-widget__recommendations-list">
+          ${recommendations.map(recommendation => `
+            <div class="lighthouse-widget__recommendation lighthouse-widget__recommendation--api">
+              <div class="lighthouse-widget__recommendation-header">
+                <h6 class="lighthouse-widget__recommendation-title">${escapeHTML(recommendation.title)}</h6>
+                <div class="lighthouse-widget__recommendation-meta">
+                  ${createImpactHTML(recommendation.impact)}
+                  ${recommendation.score !== undefined ? `
+                    <span class="lighthouse-widget__audit-score">Score: ${recommendation.score}%</span>
+                  ` : ''}
+                </div>
+              </div>
+              ${formatSavings(recommendation) ? `
+                <p class="lighthouse-widget__savings">Estimated savings: ${formatSavings(recommendation)}</p>
+              ` : ''}
+              <p class="lighthouse-widget__recommendation-description">${formatDescriptionHTML(recommendation.description)}</p>
+              ${getSafeUrl(recommendation.learnMoreUrl) ? `
+                <a href="${escapeHTML(getSafeUrl(recommendation.learnMoreUrl))}" target="_blank" rel="noopener noreferrer" class="lighthouse-widget__learn-more">
+                  Learn More
+                </a>
+              ` : ''}
+              ${recommendation.displayValue ? `
+                <p class="lighthouse-widget__recommendation-value">${escapeHTML(recommendation.displayValue)}</p>
+              ` : ''}
+              ${recommendation.details ? `
+                <details class="lighthouse-widget__affected">
+                  <summary class="lighthouse-widget__affected-toggle">
+                    Show affected items (${recommendation.details.totalItems})
+                  </summary>
+                  <div class="lighthouse-widget__affected-scroll">
+                    ${createAuditDetailsTableHTML(recommendation.details, 'lighthouse-widget__affected-table')}
+                  </div>
+                </details>
+              ` : ''}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  // Describe the desktop score relative to mobile, e.g. "+23 on desktop"
+  function createDeltaHTML(mobileScore, desktopScore) {
+    const delta = desktopScore - mobileScore;
+    const direction = delta > 0 ? 'positive' : delta < 0 ? 'negative' : 'neutral';
+    const label = delta === 0
+      ? 'Same score on mobile and desktop'
+      : `${delta > 0 ? '+' : '−'}${Math.abs(delta)} on desktop vs. mobile`;
+
+    return `<p class="lighthouse-widget__delta lighthouse-widget__delta--${direction}">${label}</p>`;
+  }
+
+  // Inline SVG sparkline of a category score across previous runs of the domain
+  function createTrendHTML(history, key, label) {
+    const points = (history || []).filter(snapshot => typeof snapshot[key] === 'number');
+    if (points.length < 2) return '';
+
+    const width = 160;
+    const height = 40;
+    const padding = 4;
+    const step = (width - padding * 2) / (points.length - 1);
+    const coords = points.map((snapshot, index) => ({
+      x: (padding + index * step).toFixed(1),
+      y: (padding + (1 - snapshot[key] / 100) * (height - padding * 2)).toFixed(1),
+      snapshot
+    }));
+
+    const first = points[0][key];
+    const last = points[points.length - 1][key];
+    const direction = last > first ? 'positive' : last < first ? 'negative' : 'neutral';
+    const summary = `${first} → ${last} over ${points.length} runs`;
+
+    return `
+      <div class="lighthouse-widget__trend lighthouse-widget__trend--${direction}">
+        <svg class="lighthouse-widget__trend-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${label ? `${label} ` : ''}score trend: ${summary}">
+          <line x1="${padding}" y1="${height / 2}" x2="${width - padding}" y2="${height / 2}" class="lighthouse-widget__trend-midline" />
+          <polyline points="${coords.map(point => `${point.x},${point.y}`).join(' ')}" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round" stroke-linecap="round" />
+          ${coords.map((point, index) => `
+            <circle cx="${point.x}" cy="${point.y}" r="${index === coords.length - 1 ? 3.5 : 2}" fill="currentColor">
+              <title>${new Date(point.snapshot.timestamp).toLocaleDateString()}: ${point.snapshot[key]}</title>
+            </circle>
+          `).join('')}
+        </svg>
+        <span class="lighthouse-widget__trend-label">${label ? `${label}: ` : ''}${summary}</span>
+      </div>
+    `;
+  }
+
+  // Impact labels come from Lighthouse data or the (overridable) catalog, so
+  // only the known levels become class names
+  function getImpactModifier(impact) {
+    const modifier = String(impact).toLowerCase();
+    return ['high', 'medium', 'low'].includes(modifier) ? modifier : 'low';
+  }
+
+  function createImpactHTML(impact) {
+    return `
+      <span class="lighthouse-widget__impact lighthouse-widget__impact--${getImpactModifier(impact)}">
+        ${escapeHTML(impact)} Impact
+      </span>
+    `;
+  }
+
+  // Placeholder shown instead of recommendations while the lead gate is locked
+  function createLockedRecommendationsHTML() {
+    return `
+      <div class="lighthouse-widget__locked">
+        <p class="lighthouse-widget__locked-text">
+          🔒 Enter your details below to unlock the specific fixes for this category.
+        </p>
+        <button type="button" class="lighthouse-widget__unlock-link" data-scroll-to-gate>Unlock recommendations</button>
+      </div>
+    `;
+  }
+
+  // Create results HTML
+  // Single runs render one score per category; `both` runs ({ runs: { mobile, desktop } })
+  // render the two scores side by side with the desktop delta
+  function createResultsHTML(results, options = {}) {
     let html = '';
+    const runs = results.runs;
     
     Object.entries(scoreDescriptions).forEach(([key, info]) => {
-      const score = results[key];
-      const scoreColor = getScoreColor(score);
+      let scoreHTML;
+      let suggestionsHTML;
+
+      if (runs) {
+        const mobileScore = runs.mobile[key];
+        const desktopScore = runs.desktop[key];
+
+        scoreHTML = `
+          <div class="lighthouse-widget__score-pair">
+            ${[['Mobile', mobileScore], ['Desktop', desktopScore]].map(([label, score]) => `
+              <div class="lighthouse-widget__score-item">
+                <div class="lighthouse-widget__score lighthouse-widget__score--${getScoreColor(score)}">
+                  ${score}
+                </div>
+                <span class="lighthouse-widget__score-label">${label}</span>
+              </div>
+            `).join('')}
+          </div>
+        `;
+        suggestionsHTML = options.locked ? createLockedRecommendationsHTML() : `
+          <div class="lighthouse-widget__strategy-section">
+            ${createRecommendationsHTML(runs.mobile.apiRecommendations?.[key], info, 'On mobile:')}
+          </div>
+          <div class="lighthouse-widget__strategy-section">
+            ${createRecommendationsHTML(runs.desktop.apiRecommendations?.[key], info, 'On desktop:')}
+          </div>
+        `;
+      } else {
+        const score = results[key];
+
+        scoreHTML = `
+          <div class="lighthouse-widget__score lighthouse-widget__score--${getScoreColor(score)}">
+            ${score}
+          </div>
+        `;
+        suggestionsHTML = options.locked
+          ? createLockedRecommendationsHTML()
+          : createRecommendationsHTML(results.apiRecommendations?.[key], info);
+      }
       
       html += `
         <div class="lighthouse-widget__result-container">
           <div class="lighthouse-widget__result-row" data-category="${key}">
-            <div class="lighthouse-widget__score lighthouse-widget__score--${scoreColor}">
-              ${score}
-            </div>
+            ${scoreHTML}
             <div class="lighthouse-widget__result-info">
               <h4 class="lighthouse-widget__result-title">
                 ${info.title}
                 <span class="lighthouse-widget__expand-icon">+</span>
               </h4>
               <p class="lighthouse-widget__result-description">${info.description}</p>
+              ${runs ? createDeltaHTML(runs.mobile[key], runs.desktop[key]) : ''}
+              ${runs
+                ? createTrendHTML(runs.mobile.history, key, 'Mobile') + createTrendHTML(runs.desktop.history, key, 'Desktop')
+                : createTrendHTML(results.history, key)}
             </div>
           </div>
           <div class="lighthouse-widget__suggestions" style="display: none;">
-            ${results.apiRecommendations && results.apiRecommendations[key] && results.apiRecommendations[key].length > 0 ? `
-              <h5 class="lighthouse-widget__suggestions-title">Specific recommendations for your site:</h5>
-              <div class="lighthouse-widget__api-recommendations">
-                <div class="lighthouse-widget__recommendations-list">
-                  ${results.apiRecommendations[key].map(recommendation => `
-                    <div class="lighthouse-widget__recommendation lighthouse-widget__recommendation--api">
-                      <div class="lighthouse-widget__recommendation-header">
-                        <h6 class="lighthouse-widget__recommendation-title">${recommendation.title}</h6>
-                        <div class="lighthouse-widget__recommendation-meta">
-                          <span class="lighthouse-widget__impact lighthouse-widget__impact--${recommendation.impact.toLowerCase()}">
-                            ${recommendation.impact} Impact
-                          </span>
-                          ${recommendation.score !== undefined ? `
-                            <span class="lighthouse-widget__audit-score">Score: ${recommendation.score}%</span>
-                          ` : ''}
-                        </div>
-                      </div>
-                      <p class="lighthouse-widget__recommendation-description">${recommendation.description}</p>
-                      ${recommendation.learnMoreUrl ? `
-                        <a href="${recommendation.learnMoreUrl}" target="_blank" rel="noopener noreferrer" class="lighthouse-widget__learn-more">
-                          Learn More
-                        </a>
-                      ` : ''}
-                      ${recommendation.displayValue ? `
-                        <p class="lighthouse-widget__recommendation-value">${recommendation.displayValue}</p>
-                      ` : ''}
-                    </div>
-                  `).join('')}
+            ${suggestionsHTML}
+          </div>
+        </div>
+      `;
+    });
+
+    if (results.localSeo) {
+      html += createLocalSeoHTML(results.localSeo, options);
+    }
+    
+    return html;
+  }
+
+  // Failing local SEO checks in the shape createRecommendationsHTML expects
+  function getLocalSeoRecommendations(localSeo) {
+    return localSeo.checks
+      .filter(check => check.applicable && !check.passed)
+      .sort((a, b) => b.weight - a.weight)
+      .map(check => ({
+        id: check.id,
+        title: check.title,
+        description: check.description,
+        impact: check.weight >= 3 ? 'High' : check.weight === 2 ? 'Medium' : 'Low',
+        displayValue: check.value
+      }));
+  }
+
+  function createLocalSeoHTML(localSeo, options = {}) {
+    const score = localSeo.score;
+
+    return `
+      <div class="lighthouse-widget__result-container">
+        <div class="lighthouse-widget__result-row" data-category="localSeo">
+          <div class="lighthouse-widget__score lighthouse-widget__score--${getScoreColor(score)}">
+            ${score}
+          </div>
+          <div class="lighthouse-widget__result-info">
+            <h4 class="lighthouse-widget__result-title">
+              ${localSeoDescription.title}
+              <span class="lighthouse-widget__expand-icon">+</span>
+            </h4>
+            <p class="lighthouse-widget__result-description">${localSeoDescription.description}</p>
+          </div>
+        </div>
+        <div class="lighthouse-widget__suggestions" style="display: none;">
+          ${options.locked
+            ? createLockedRecommendationsHTML()
+            : createRecommendationsHTML(getLocalSeoRecommendations(localSeo), localSeoDescription)}
+        </div>
+      </div>
+    `;
+  }
+
+  // Prospect recommendations for audits at least one competitor already passes
+  function findCompetitorGaps(prospect, competitors, key) {
+    const recommendations = prospect.apiRecommendations?.[key] || [];
+
+    return recommendations
+      .filter(recommendation => recommendation.score < 90)
+      .map(recommendation => ({
+        recommendation,
+        passedBy: competitors.filter(site => site.result.passedAudits?.includes(recommendation.id))
+      }))
+      .filter(gap => gap.passedBy.length > 0);
+  }
+
+  // Create the competitor comparison: a score table per category, the audits
+  // competitors pass that the prospect fails, then the prospect's full results
+  function createComparisonHTML(results, options = {}) {
+    const prospect = results.sites[0].result;
+    const competitors = results.sites.slice(1).filter(site => site.result);
+    const failedSites = results.sites.filter(site => !site.result);
+
+    const headerCells = results.sites.map(site => `
+      <th scope="col" class="lighthouse-widget__comparison-site${site === results.sites[0] ? ' lighthouse-widget__comparison-site--prospect' : ''}">
+        ${site.label}
+        <span class="lighthouse-widget__comparison-host">${escapeHTML(getHostname(site.url))}</span>
+      </th>
+    `).join('');
+
+    const bodyRows = Object.entries(scoreDescriptions).map(([key, info]) => {
+      const bestScore = Math.max(...results.sites.filter(site => site.result).map(site => site.result[key]));
+
+      return `
+        <tr>
+          <th scope="row">${info.title}</th>
+          ${results.sites.map(site => {
+            if (!site.result) {
+              return '<td class="lighthouse-widget__comparison-cell">—</td>';
+            }
+            const score = site.result[key];
+            return `
+              <td class="lighthouse-widget__comparison-cell">
+                <span class="lighthouse-widget__table-score lighthouse-widget__table-score--${getScoreColor(score)}${score === bestScore ? ' lighthouse-widget__table-score--best' : ''}">
+                  ${score}
+                </span>
+              </td>
+            `;
+          }).join('')}
+        </tr>
+      `;
+    }).join('');
+
+    const gapSections = competitors.length > 0 && !options.locked
+      ? Object.entries(scoreDescriptions).map(([key, info]) => {
+          const gaps = findCompetitorGaps(prospect, competitors, key);
+          if (gaps.length === 0) return '';
+
+          return `
+            <div class="lighthouse-widget__gap-category">
+              <h5 class="lighthouse-widget__gap-category-title">${info.title}</h5>
+              <ul class="lighthouse-widget__gap-list">
+                ${gaps.map(({ recommendation, passedBy }) => `
+                  <li class="lighthouse-widget__gap-item">
+                    <span class="lighthouse-widget__gap-title">${escapeHTML(recommendation.title)}</span>
+                    ${createImpactHTML(recommendation.impact)}
+                    <span class="lighthouse-widget__gap-passed-by">
+                      Passed by ${passedBy.map(site => escapeHTML(getHostname(site.url))).join(' and ')}
+                    </span>
+                  </li>
+                `).join('')}
+              </ul>
+            </div>
+          `;
+        }).join('')
+      : '';
+
+    return `
+      <div class="lighthouse-widget__comparison">
+        <div class="lighthouse-widget__comparison-scroll">
+          <table class="lighthouse-widget__comparison-table">
+            <thead>
+              <tr>
+                <th scope="col">Category</th>
+                ${headerCells}
+              </tr>
+            </thead>
+            <tbody>
+              ${bodyRows}
+            </tbody>
+          </table>
+        </div>
+        ${failedSites.length > 0 ? `
+          <p class="lighthouse-widget__comparison-error">
+            ${failedSites.map(site => `Couldn't analyze ${escapeHTML(getHostname(site.url))}: ${escapeHTML(site.error || 'Unknown error')}`).join('<br>')}
+          </p>
+        ` : ''}
+        ${competitors.length > 0 ? `
+          <div class="lighthouse-widget__competitor-gaps">
+            <h4 class="lighthouse-widget__competitor-gaps-title">Where your competitors are ahead</h4>
+            ${options.locked ? createLockedRecommendationsHTML() : gapSections || `
+              <p class="lighthouse-widget__competitor-gaps-empty">
+                Your competitors don't pass any checks that your site fails. Nice work!
+              </p>
+            `}
+          </div>
+        ` : ''}
+        <h4 class="lighthouse-widget__comparison-detail-title">Your site in detail</h4>
+      </div>
+      ${createResultsHTML(prospect, options)}
+    `;
+  }
+
+  // Path and query of a site audit page, which is all that differs between pages
+  function getPagePath(url) {
+    try {
+      const parsed = new URL(url);
+      return truncateText(`${parsed.pathname}${parsed.search}`, 60);
+    } catch {
+      return truncateText(url, 60);
+    }
+  }
+
+  const siteAuditSources = {
+    sitemap: 'Pages found in your sitemap.xml.',
+    links: 'No sitemap found, so we audited pages linked from the address you entered.',
+    page: 'No sitemap or internal links found, so only the address you entered was audited.'
+  };
+
+  // Recurring issues first, with the site's catalog copy where there is some
+  function createSiteIssuesHTML(results) {
+    const scoredCount = results.pages.filter(page => !page.error).length;
+
+    if (results.recurringIssues.length === 0) {
+      return `
+        <p class="lighthouse-widget__competitor-gaps-empty">
+          No issue shows up on more than one page. Nice work!
+        </p>
+      `;
+    }
+
+    return `
+      <div class="lighthouse-widget__recommendations-list">
+        ${results.recurringIssues.map(issue => {
+          const entry = (CONFIG.auditCatalog || {})[issue.id] || {};
+          const { text, learnMoreUrl } = processDescription(entry.copy?.[issue.categories[0]] || issue.description);
+
+          return `
+            <div class="lighthouse-widget__recommendation lighthouse-widget__recommendation--api">
+              <div class="lighthouse-widget__recommendation-header">
+                <h6 class="lighthouse-widget__recommendation-title">${escapeHTML(issue.title)}</h6>
+                <div class="lighthouse-widget__recommendation-meta">
+                  <span class="lighthouse-widget__site-issue-count">${issue.pageCount} of ${scoredCount} pages</span>
                 </div>
               </div>
-            ` : `
-              <div class="lighthouse-widget__no-recommendations">
-                <div class="lighthouse-widget__success-message">
-                  <div class="lighthouse-widget__success-icon">✓</div>
-                  <h6 class="lighthouse-widget__success-title">Great job!</h6>
-                  <p class="lighthouse-widget__success-description">
-                    No specific issues found in this category. Your site is performing well for ${info.title.toLowerCase()}.
-                  </p>
-                </div>
+              ${text ? `<p class="lighthouse-widget__recommendation-description">${formatDescriptionHTML(text)}</p>` : ''}
+              ${getSafeUrl(learnMoreUrl) ? `
+                <a href="${escapeHTML(getSafeUrl(learnMoreUrl))}" target="_blank" rel="noopener noreferrer" class="lighthouse-widget__learn-more">
+                  Learn More
+                </a>
+              ` : ''}
+              <details class="lighthouse-widget__affected">
+                <summary class="lighthouse-widget__affected-toggle">Show affected pages (${issue.pageCount})</summary>
+                <ul class="lighthouse-widget__site-issue-pages">
+                  ${issue.pages.map(url => `<li>${escapeHTML(getPagePath(url))}</li>`).join('')}
+                </ul>
+              </details>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  // Site audit: per-page score table with the site averages, the worst pages
+  // and the issues that recur across pages
+  function createSiteAuditHTML(results, options = {}) {
+    const categoryKeys = Object.keys(scoreDescriptions);
+    const scoreCell = score => `
+      <td class="lighthouse-widget__comparison-cell">
+        ${typeof score === 'number' ? `
+          <span class="lighthouse-widget__table-score lighthouse-widget__table-score--${getScoreColor(score)}">${score}</span>
+        ` : '—'}
+      </td>
+    `;
+
+    const pageRows = results.pages.map(page => `
+      <tr>
+        <th scope="row" title="${escapeHTML(page.url)}">${escapeHTML(getPagePath(page.url))}</th>
+        ${page.error ? `
+          <td class="lighthouse-widget__site-page-error" colspan="${categoryKeys.length + 1}">
+            Couldn't analyze: ${escapeHTML(page.error)}
+          </td>
+        ` : `
+          ${categoryKeys.map(key => scoreCell(page[key])).join('')}
+          <td class="lighthouse-widget__comparison-cell">${page.issueCount ?? '—'}</td>
+        `}
+      </tr>
+    `).join('');
+
+    return `
+      <div class="lighthouse-widget__comparison lighthouse-widget__site-audit">
+        <p class="lighthouse-widget__site-source">${escapeHTML(siteAuditSources[results.source] || '')}</p>
+        <div class="lighthouse-widget__comparison-scroll">
+          <table class="lighthouse-widget__comparison-table lighthouse-widget__site-table">
+            <thead>
+              <tr>
+                <th scope="col">Page</th>
+                ${categoryKeys.map(key => `<th scope="col">${scoreDescriptions[key].title}</th>`).join('')}
+                <th scope="col">Issues</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${pageRows}
+            </tbody>
+            <tfoot>
+              <tr>
+                <th scope="row">Site average</th>
+                ${categoryKeys.map(key => scoreCell(results[key])).join('')}
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+        ${results.worstPages.length > 1 ? `
+          <div class="lighthouse-widget__site-worst">
+            <h4 class="lighthouse-widget__competitor-gaps-title">Pages that need the most work</h4>
+            <ol class="lighthouse-widget__site-worst-list">
+              ${results.worstPages.map(page => `
+                <li>
+                  <span class="lighthouse-widget__site-worst-page" title="${escapeHTML(page.url)}">${escapeHTML(getPagePath(page.url))}</span>
+                  <span class="lighthouse-widget__table-score lighthouse-widget__table-score--${getScoreColor(page.average)}">${page.average}</span>
+                </li>
+              `).join('')}
+            </ol>
+          </div>
+        ` : ''}
+        <div class="lighthouse-widget__competitor-gaps">
+          <h4 class="lighthouse-widget__competitor-gaps-title">Issues across your site</h4>
+          ${options.locked ? createLockedRecommendationsHTML() : createSiteIssuesHTML(results)}
+        </div>
+      </div>
+    `;
+  }
+
+  function createDistributionBarHTML(distribution) {
+    const segments = [
+      ['good', 'Good', distribution.good],
+      ['needs-improvement', 'Needs improvement', distribution.needsImprovement],
+      ['poor', 'Poor', distribution.poor]
+    ];
+    const label = segments.map(([, title, share]) => `${title} ${Math.round(share * 100)}%`).join(', ');
+
+    return `
+      <div class="lighthouse-widget__distribution" role="img" aria-label="${label}" title="${label}">
+        ${segments.map(([rating, , share]) => share > 0 ? `
+          <span class="lighthouse-widget__distribution-segment lighthouse-widget__distribution-segment--${rating}" style="width: ${(share * 100).toFixed(1)}%;"></span>
+        ` : '').join('')}
+      </div>
+    `;
+  }
+
+  function createFieldScopeHTML(title, fieldData) {
+    if (!fieldData) {
+      return `
+        <div class="lighthouse-widget__field-scope">
+          <h5 class="lighthouse-widget__field-scope-title">${title}</h5>
+          <p class="lighthouse-widget__field-empty">Not enough real-user data yet.</p>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="lighthouse-widget__field-scope">
+        <h5 class="lighthouse-widget__field-scope-title">${title}</h5>
+        <ul class="lighthouse-widget__field-metrics">
+          ${fieldData.metrics.map(metric => `
+            <li class="lighthouse-widget__field-metric">
+              <div class="lighthouse-widget__field-metric-header">
+                <span class="lighthouse-widget__field-metric-name" title="${metric.title}">${metric.name}</span>
+                <span class="lighthouse-widget__field-metric-value lighthouse-widget__field-metric-value--${metric.rating}">
+                  ${formatFieldValue(metric)}
+                </span>
               </div>
-            `}
+              ${createDistributionBarHTML(metric.distribution)}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  // Core Web Vitals from real Chrome users (CrUX), page and origin level
+  function createFieldDataHTML(run, heading = 'Core Web Vitals from real visitors') {
+    const fieldData = run.fieldData || {};
+    const hasData = Boolean(fieldData.page || fieldData.origin);
+
+    return `
+      <div class="lighthouse-widget__field-panel">
+        <h4 class="lighthouse-widget__field-title">${heading}</h4>
+        <p class="lighthouse-widget__field-description">
+          75th percentile of what real Chrome users experienced over the last 28 days (${escapeHTML(run.strategy)} visitors).
+        </p>
+        ${hasData ? `
+          <div class="lighthouse-widget__field-scopes">
+            ${createFieldScopeHTML('This page', fieldData.page)}
+            ${createFieldScopeHTML('Whole website', fieldData.origin)}
           </div>
+        ` : `
+          <p class="lighthouse-widget__field-empty">
+            Not enough real-user data: this site doesn't get enough Chrome traffic to appear in the
+            Chrome UX Report yet. The lab scores above are the best guide for now.
+          </p>
+        `}
+      </div>
+    `;
+  }
+
+  // Field data panels for whichever result shape displayResults received
+  function createFieldDataSectionHTML(results) {
+    if (results.runs) {
+      return createFieldDataHTML(results.runs.mobile, 'Core Web Vitals from real visitors: mobile') +
+        createFieldDataHTML(results.runs.desktop, 'Core Web Vitals from real visitors: desktop');
+    }
+    if (results.mode === 'compare') {
+      return createFieldDataHTML(results.sites[0].result);
+    }
+    return createFieldDataHTML(results);
+  }
+
+  // Final render and load filmstrip; mobile/desktop runs and comparisons show
+  // the mobile run of the prospect's site
+  function createScreenshotsHTML(results) {
+    let run = results;
+    if (results.runs) {
+      run = results.runs.mobile;
+    } else if (results.mode === 'compare') {
+      run = results.sites[0].result;
+    }
+
+    const screenshots = run.screenshots;
+    if (!screenshots) return '';
+
+    const device = run.strategy === 'desktop' ? 'desktop' : 'mobile';
+
+    return `
+      <div class="lighthouse-widget__visuals-panel">
+        <h4 class="lighthouse-widget__field-title">How your page loads</h4>
+        <p class="lighthouse-widget__field-description">
+          What a ${device} visitor sees while your page loads, captured during the Lighthouse test.
+        </p>
+        <div class="lighthouse-widget__visuals-body">
+          ${screenshots.final ? `
+            <figure class="lighthouse-widget__final-screenshot lighthouse-widget__final-screenshot--${device}">
+              <img src="${escapeHTML(screenshots.final)}" alt="Your page on ${device} once fully loaded">
+              <figcaption class="lighthouse-widget__screenshot-caption">Fully loaded</figcaption>
+            </figure>
+          ` : ''}
+          ${screenshots.filmstrip.length > 0 ? `
+            <ol class="lighthouse-widget__filmstrip" aria-label="Page load progress">
+              ${screenshots.filmstrip.map(frame => `
+                <li class="lighthouse-widget__filmstrip-frame">
+                  <img src="${escapeHTML(frame.data)}" alt="Page after ${(frame.timing / 1000).toFixed(1)} seconds">
+                  <span class="lighthouse-widget__filmstrip-time">${(frame.timing / 1000).toFixed(1)} s</span>
+                </li>
+              `).join('')}
+            </ol>
+          ` : ''}
         </div>
+      </div>
+    `;
+  }
+
+  // Score columns for the exported report: one per strategy or per compared site
+  function getReportColumns(results) {
+    if (results.runs) {
+      return [
+        { label: 'Mobile', run: results.runs.mobile },
+        { label: 'Desktop', run: results.runs.desktop }
+      ];
+    }
+    if (results.mode === 'compare') {
+      return results.sites
+        .filter(site => site.result)
+        .map(site => ({ label: `${site.label} (${getHostname(site.url)})`, run: site.result }));
+    }
+    return [{ label: 'Score', run: results }];
+  }
+
+  // Build a self-contained, print-optimized HTML report from the results
+  function createReportHTML(results) {
+    const report = CONFIG.report;
+    const columns = getReportColumns(results);
+    const primary = columns[0].run;
+    const analyzedAt = new Date(results.cachedAt || results.timestamp).toLocaleString();
+    const localSeo = getLocalSeoTarget(results).localSeo;
+
+    const scoreRows = Object.entries(scoreDescriptions).map(([key, info]) => `
+      <tr>
+        <th scope="row">${info.title}</th>
+        ${columns.map(column => `
+          <td><span class="score score--${getScoreColor(column.run[key])}">${column.run[key]}</span></td>
+        `).join('')}
+      </tr>
+    `).join('');
+
+    // Local SEO is checked once per analysis, for the prospect's site only
+    const localSeoRow = localSeo ? `
+      <tr>
+        <th scope="row">${localSeoDescription.title}</th>
+        ${columns.map((column, index) => (index === 0 || results.runs) ? `
+          <td><span class="score score--${getScoreColor(localSeo.score)}">${localSeo.score}</span></td>
+        ` : `
+          <td class="not-checked">Not checked</td>
+        `).join('')}
+      </tr>
+    ` : '';
+
+    const categorySections = Object.entries(scoreDescriptions).map(([key, info]) => ({
+      title: info.title,
+      score: primary[key],
+      recommendations: primary.apiRecommendations?.[key] || []
+    }));
+    if (localSeo) {
+      categorySections.push({
+        title: localSeoDescription.title,
+        score: localSeo.score,
+        recommendations: getLocalSeoRecommendations(localSeo)
+      });
+    }
+
+    const recommendationSections = categorySections.map(({ title, score, recommendations }) => {
+      return `
+        <section class="category">
+          <h3>${title} <span class="category-score">${score}/100</span></h3>
+          ${recommendations.length === 0 ? `
+            <p class="empty">No issues found in this category.</p>
+          ` : recommendations.map(recommendation => `
+            <article class="recommendation">
+              <div class="recommendation-header">
+                <h4>${escapeHTML(recommendation.title)}</h4>
+                <span class="impact impact--${getImpactModifier(recommendation.impact)}">${escapeHTML(recommendation.impact)} impact</span>
+              </div>
+              ${formatSavings(recommendation) ? `<p class="savings">Estimated savings: ${formatSavings(recommendation)}</p>` : ''}
+              <p>${formatDescriptionHTML(recommendation.description)}</p>
+              ${recommendation.displayValue ? `<p class="value">${escapeHTML(recommendation.displayValue)}</p>` : ''}
+              ${recommendation.details ? `
+                <div class="affected">${createAuditDetailsTableHTML(recommendation.details, 'affected-table')}</div>
+              ` : ''}
+              ${getSafeUrl(recommendation.learnMoreUrl) ? `
+                <p class="learn-more"><a href="${escapeHTML(getSafeUrl(recommendation.learnMoreUrl))}">${escapeHTML(getSafeUrl(recommendation.learnMoreUrl))}</a></p>
+              ` : ''}
+            </article>
+          `).join('')}
+        </section>
       `;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Website Performance Report: ${escapeHTML(getHostname(results.url))}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Helvetica Neue', sans-serif; color: #1a1a1a; line-height: 1.5; background: #f3f4f6; }
+    .page { max-width: 800px; margin: 0 auto; padding: 48px; background: #ffffff; }
+    .cover { padding-bottom: 32px; margin-bottom: 32px; border-bottom: 4px solid #000000; }
+    .brand { font-size: 0.9rem; font-weight: 700; text-transform: uppercase; letter-spacing: 0.1em; color: #6b7280; margin: 0 0 48px 0; }
+    h1 { font-size: 2.25rem; line-height: 1.2; margin: 0 0 16px 0; letter-spacing: -0.02em; }
+    .cover-url { font-size: 1.2rem; font-weight: 600; word-break: break-all; margin: 0 0 8px 0; }
+    .cover-meta { color: #6b7280; margin: 0; }
+    h2 { font-size: 1.4rem; margin: 0 0 16px 0; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 40px; }
+    th, td { padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center; }
+    thead th { background: #f9fafb; font-size: 0.85rem; }
+    tbody th { text-align: left; }
+    .not-checked { color: #9ca3af; font-size: 0.85rem; }
+    .score { display: inline-block; min-width: 48px; padding: 6px 10px; border-radius: 999px; color: #ffffff; font-weight: 800; }
+    .score--good { background: #059669; }
+    .score--needs-improvement { background: #d97706; }
+    .score--poor { background: #dc2626; }
+    .category { margin-bottom: 32px; }
+    .category h3 { display: flex; justify-content: space-between; font-size: 1.2rem; padding-bottom: 8px; border-bottom: 2px solid #e5e7eb; margin: 0 0 16px 0; }
+    .category-score { color: #6b7280; }
+    .recommendation { padding: 12px 16px; margin-bottom: 12px; border-left: 3px solid #000000; background: #f9fafb; break-inside: avoid; }
+    .recommendation-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 12px; }
+    .recommendation h4 { margin: 0 0 6px 0; font-size: 1rem; }
+    .recommendation p { margin: 0 0 6px 0; font-size: 0.9rem; color: #374151; }
+    .recommendation .value { font-family: 'Monaco', 'Menlo', 'Consolas', monospace; color: #0369a1; }
+    .recommendation .savings { font-weight: 600; color: #15803d; }
+    .affected { margin: 8px 0; overflow-x: auto; }
+    .affected-table { margin: 0; font-size: 0.75rem; background: #ffffff; }
+    .affected-table th, .affected-table td { padding: 6px 8px; text-align: left; vertical-align: top; word-break: break-all; }
+    .affected-table code { font-size: 0.7rem; color: #6b7280; }
+    .affected-table .node-label { display: block; }
+    .affected-table-more { font-size: 0.75rem; color: #6b7280; }
+    .learn-more a { color: #6b7280; font-size: 0.8rem; word-break: break-all; }
+    .impact { flex-shrink: 0; padding: 2px 8px; border-radius: 12px; font-size: 0.7rem; font-weight: 700; text-transform: uppercase; }
+    .impact--high { background: #dc3545; color: #ffffff; }
+    .impact--medium { background: #ffc107; color: #212529; }
+    .impact--low { background: #28a745; color: #ffffff; }
+    .empty { color: #15803d; }
+    .cta { margin-top: 48px; padding: 32px; background: #000000; color: #ffffff; border-radius: 16px; text-align: center; break-inside: avoid; }
+    .cta h2 { color: #ffffff; }
+    .cta p { margin: 0 0 20px 0; color: #d1d5db; }
+    .cta a { display: inline-block; padding: 12px 24px; background: #ffffff; color: #000000; border-radius: 10px; font-weight: 700; text-decoration: none; }
+    .cta-url { display: block; margin-top: 12px; color: #d1d5db; font-size: 0.85rem; }
+    @page { size: letter; margin: 0.6in; }
+    @media print {
+      body { background: #ffffff; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      .page { max-width: none; padding: 0; }
+      .cover { min-height: 8in; display: flex; flex-direction: column; justify-content: center; break-after: page; }
+      .cta { background: #ffffff; color: #000000; border: 3px solid #000000; }
+      .cta h2 { color: #000000; }
+      .cta p, .cta-url { color: #374151; }
+      .cta a { background: #000000; color: #ffffff; }
+    }
+  </style>
+</head>
+<body>
+  <div class="page">
+    <header class="cover">
+      <p class="brand">${escapeHTML(report.brandName)}</p>
+      <h1>Website Performance Report</h1>
+      <p class="cover-url">${escapeHTML(results.url)}</p>
+      <p class="cover-meta">Analyzed ${escapeHTML(analyzedAt)} • ${escapeHTML(getStrategyLabel(results.strategy))} • ${escapeHTML(primary.source || 'Google PageSpeed Insights')}</p>
+    </header>
+
+    <h2>Scores</h2>
+    <table>
+      <thead>
+        <tr>
+          <th scope="col">Category</th>
+          ${columns.map(column => `<th scope="col">${escapeHTML(column.label)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>${scoreRows}${localSeoRow}</tbody>
+    </table>
+
+    <h2>Recommendations${columns.length > 1 ? ` (${escapeHTML(columns[0].label)})` : ''}</h2>
+    ${recommendationSections}
+
+    <section class="cta">
+      <h2>${escapeHTML(report.ctaTitle)}</h2>
+      <p>${escapeHTML(report.ctaText)}</p>
+      <a href="${escapeHTML(report.ctaUrl)}">${escapeHTML(report.ctaLabel)}</a>
+      <span class="cta-url">${escapeHTML(report.ctaUrl)}</span>
+    </section>
+  </div>
+</body>
+</html>`;
+  }
+
+  function getReportFilename(results) {
+    const host = getHostname(results.url).replace(/[^a-z0-9.-]+/gi, '-');
+    const date = new Date(results.cachedAt || results.timestamp).toISOString().slice(0, 10);
+    return `website-report-${host}-${date}.html`;
+  }
+
+  // Save the report as a standalone HTML file
+  function downloadReport(results) {
+    const blob = new Blob([createReportHTML(results)], { type: 'text/html' });
+    const href = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = href;
+    link.download = getReportFilename(results);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(href), 1000);
+  }
+
+  // Print the report from a hidden iframe so the browser's "Save as PDF" gets
+  // the print layout instead of the widget page
+  function printReport(results) {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+
+    frame.addEventListener('load', () => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      setTimeout(() => document.body.removeChild(frame), 1000);
     });
-    
-    return html;
+
+    frame.srcdoc = createReportHTML(results);
+    document.body.appendChild(frame);
+  }
+
+  // Subscribe to a lifecycle event; returns a function that unsubscribes
+  function on(eventName, handler) {
+    if (!WIDGET_EVENTS.includes(eventName)) {
+      throw new Error(`Unknown LighthouseWidget event: ${eventName}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError('LighthouseWidget.on() needs a handler function');
+    }
+
+    (eventListeners[eventName] = eventListeners[eventName] || []).push(handler);
+    return () => off(eventName, handler);
+  }
+
+  function off(eventName, handler) {
+    eventListeners[eventName] = (eventListeners[eventName] || []).filter(listener => listener !== handler);
+  }
+
+  function getDataLayerPrefix(container) {
+    const value = container.dataset.datalayer;
+    if (value === undefined || value === 'false') return null;
+    return value.trim() || 'lighthouse_widget';
+  }
+
+  // GTM variables are easiest to map from flat fields, so only primitives
+  // (and the flattened scores) are pushed
+  function createDataLayerEvent(prefix, eventName, detail) {
+    const entry = { event: `${prefix}_${eventName.replace(':', '_')}` };
+
+    Object.entries({ ...detail, ...detail.scores }).forEach(([key, value]) => {
+      if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+        entry[key] = value;
+      }
+    });
+    return entry;
+  }
+
+  // Notify on() listeners, DOM listeners and (when enabled) the dataLayer.
+  // Analytics must never break the widget, so listener errors are only logged.
+  function emitWidgetEvent(container, eventName, detail) {
+    const eventDetail = { ...detail, widget: container };
+
+    (eventListeners[eventName] || []).forEach(handler => {
+      try {
+        handler(eventDetail);
+      } catch (error) {
+        console.error(`LighthouseWidget ${eventName} listener failed:`, error);
+      }
+    });
+
+    container.dispatchEvent(new CustomEvent(`lighthouse-widget:${eventName}`, {
+      detail: eventDetail,
+      bubbles: true
+    }));
+
+    const prefix = getDataLayerPrefix(container);
+    if (prefix) {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push(createDataLayerEvent(prefix, eventName, detail));
+    }
+  }
+
+  // Scores of the prospect's site for analyze:success (mobile when running both)
+  function getEventScores(results) {
+    const primary = getReportColumns(results)[0].run;
+    return {
+      performance: primary.performance,
+      accessibility: primary.accessibility,
+      bestPractices: primary.bestPractices,
+      seo: primary.seo,
+      localSeo: getLocalSeoScore(results)
+    };
   }
 
   // Show/hide loading state
@@ -460,20 +1905,194 @@
     const loading = container.querySelector('.lighthouse-widget__loading');
     const loadingText = container.querySelector('.lighthouse-widget__loading-text');
     const submitBtn = container.querySelector('.lighthouse-widget__submit-btn');
-    const input = container.querySelector('.lighthouse-widget__input');
+    const inputs = container.querySelectorAll('.lighthouse-widget__input');
+    const elapsed = container.querySelector('.lighthouse-widget__loading-elapsed');
+    const cancelBtn = container.querySelector('.lighthouse-widget__cancel-btn');
     
     if (isLoading) {
       loading.style.display = 'flex';
       submitBtn.disabled = true;
       submitBtn.textContent = 'Analyzing...';
-      input.disabled = true;
+      inputs.forEach(input => { input.disabled = true; });
       loadingText.textContent = message;
+      cancelBtn.style.display = container._abortController ? '' : 'none';
+
+      // Lighthouse runs take 10-30 seconds; a running clock shows it hasn't stalled
+      if (!container._elapsedTimer) {
+        const startedAt = Date.now();
+        elapsed.textContent = '';
+        container._elapsedTimer = setInterval(() => {
+          elapsed.textContent = `${Math.round((Date.now() - startedAt) / 1000)}s`;
+        }, 1000);
+      }
     } else {
       loading.style.display = 'none';
       submitBtn.disabled = false;
       submitBtn.textContent = 'Analyze Website';
-      input.disabled = false;
+      inputs.forEach(input => { input.disabled = false; });
+      clearInterval(container._elapsedTimer);
+      container._elapsedTimer = null;
+      elapsed.textContent = '';
+    }
+  }
+
+  // Inline message under the form; `retry` adds a "Try again" button
+  function showNotice(container, message, { type = 'info', retry = null } = {}) {
+    const notice = container.querySelector('.lighthouse-widget__notice');
+
+    clearInterval(container._retryTimer);
+    container._retryTimer = null;
+
+    notice.className = `lighthouse-widget__notice lighthouse-widget__notice--${type}`;
+    notice.innerHTML = `
+      <span class="lighthouse-widget__notice-text">${escapeHTML(message)}</span>
+      ${retry ? '<button type="button" class="lighthouse-widget__retry-btn">Try again</button>' : ''}
+    `;
+    notice.style.display = 'block';
+
+    if (retry) {
+      notice.querySelector('.lighthouse-widget__retry-btn').addEventListener('click', () => {
+        clearNotice(container);
+        retry();
+      });
+    }
+  }
+
+  function clearNotice(container) {
+    const notice = container.querySelector('.lighthouse-widget__notice');
+
+    clearInterval(container._retryTimer);
+    container._retryTimer = null;
+    notice.className = 'lighthouse-widget__notice';
+    notice.innerHTML = '';
+    notice.style.display = 'none';
+  }
+
+  // Abort the analysis in flight, if any
+  function cancelAnalysis(container) {
+    if (container._abortController) {
+      container._abortController.abort();
+      container._abortController = null;
+    }
+  }
+
+  // Stop a cancelled run at the next step, even if the last await ignored the signal
+  function throwIfAborted(signal) {
+    if (signal.aborted) {
+      throw new DOMException('The analysis was cancelled', 'AbortError');
+    }
+  }
+
+  // Run mobile and desktop in parallel and combine them for side-by-side display
+  async function callLighthouseAPIForBothStrategies(targetUrl, options = {}) {
+    const runStrategy = async (strategy, other) => {
+      const result = await callLighthouseAPI(targetUrl, { ...options, strategy });
+      if (options.onProgress) {
+        options.onProgress(`${strategy === 'mobile' ? 'Mobile' : 'Desktop'} analysis done, waiting for ${other}...`);
+      }
+      return result;
+    };
+
+    const [mobile, desktop] = await Promise.all([
+      runStrategy('mobile', 'desktop'),
+      runStrategy('desktop', 'mobile')
+    ]);
+    const cachedTimes = [mobile, desktop].filter(run => run.cached).map(run => run.cachedAt);
+
+    return {
+      url: targetUrl,
+      timestamp: new Date().toISOString(),
+      strategy: 'both',
+      cached: cachedTimes.length > 0,
+      cachedAt: cachedTimes.sort()[0] || null,
+      runs: { mobile, desktop }
+    };
+  }
+
+  // Run async task functions with at most `limit` in flight.
+  // Resolves to [{ value } | { error }] in task order; never rejects.
+  async function runWithConcurrency(tasks, limit) {
+    const outcomes = new Array(tasks.length);
+    let nextIndex = 0;
+
+    async function worker() {
+      while (nextIndex < tasks.length) {
+        const index = nextIndex++;
+        try {
+          outcomes[index] = { value: await tasks[index]() };
+        } catch (error) {
+          outcomes[index] = { error };
+        }
+      }
+    }
+
+    const workerCount = Math.max(1, Math.min(limit, tasks.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return outcomes;
+  }
+
+  // Analyze the prospect's site plus competitors. A failed competitor run is
+  // reported in the table instead of failing the whole comparison.
+  async function callLighthouseAPIForComparison(targetUrl, competitorUrls, options = {}) {
+    // Compare mode shows one score per site, so `both` falls back to mobile
+    const strategy = options.strategy === 'both' ? 'mobile' : options.strategy;
+    const urls = [targetUrl, ...competitorUrls];
+
+    let finished = 0;
+    const outcomes = await runWithConcurrency(
+      urls.map(url => async () => {
+        try {
+          return await callLighthouseAPI(url, { ...options, strategy });
+        } finally {
+          finished++;
+          if (options.onProgress) {
+            options.onProgress(`Analyzed ${finished} of ${urls.length} sites...`);
+          }
+        }
+      }),
+      CONFIG.compareConcurrency
+    );
+
+    // A cancelled run shouldn't render whichever sites happened to finish
+    const aborted = outcomes.find(outcome => outcome.error && outcome.error.name === 'AbortError');
+    if (aborted) {
+      throw aborted.error;
+    }
+
+    if (outcomes[0].error) {
+      throw outcomes[0].error;
     }
+
+    const sites = urls.map((url, index) => ({
+      url,
+      label: index === 0 ? 'Your site' : `Competitor ${index}`,
+      result: outcomes[index].value || null,
+      error: outcomes[index].error ? outcomes[index].error.message : null
+    }));
+    const cachedTimes = sites
+      .filter(site => site.result && site.result.cached)
+      .map(site => site.result.cachedAt);
+
+    return {
+      mode: 'compare',
+      url: targetUrl,
+      competitors: competitorUrls,
+      timestamp: new Date().toISOString(),
+      strategy: strategy || CONFIG.defaultStrategy,
+      cached: cachedTimes.length > 0,
+      cachedAt: cachedTimes.sort()[0] || null,
+      sites
+    };
+  }
+
+  // Read data-strategy from the widget container
+  function getStrategy(container) {
+    const strategy = (container.dataset.strategy || '').toLowerCase();
+    return STRATEGIES.includes(strategy) ? strategy : CONFIG.defaultStrategy;
+  }
+
+  function getStrategyLabel(strategy) {
+    return strategy === 'both' ? 'mobile & desktop' : strategy;
   }
 
   // Display results
@@ -481,22 +2100,75 @@
     const resultsContainer = container.querySelector('.lighthouse-widget__results');
     const resultsGrid = container.querySelector('.lighthouse-widget__results-grid');
     const resultsMeta = container.querySelector('.lighthouse-widget__results-meta');
+    const fieldData = container.querySelector('.lighthouse-widget__field-data');
+    const visuals = container.querySelector('.lighthouse-widget__visuals');
     
     // Clear previous results
     resultsGrid.innerHTML = '';
     
+    // Shared reports are gated like fresh runs, since anyone can open the link
+    const locked = isLeadGateLocked(container);
+    
     // Add new results
-    resultsGrid.innerHTML = createResultsHTML(results);
+    if (results.mode === 'site') {
+      // Per-page screenshots and field data would drown the table
+      resultsGrid.innerHTML = createSiteAuditHTML(results, { locked });
+      visuals.innerHTML = '';
+      fieldData.innerHTML = '';
+    } else {
+      resultsGrid.innerHTML = results.mode === 'compare'
+        ? createComparisonHTML(results, { locked })
+        : createResultsHTML(results, { locked });
+      visuals.innerHTML = createScreenshotsHTML(results);
+      fieldData.innerHTML = createFieldDataSectionHTML(results);
+    }
     
     // Add meta information
     resultsMeta.innerHTML = `
       <p class="lighthouse-widget__analyzed-url">
-        <strong>Analyzed:</strong> ${results.url}
+        <strong>Analyzed:</strong> ${escapeHTML(results.url)}
       </p>
+      ${results.competitors ? `
+        <p class="lighthouse-widget__analyzed-url">
+          <strong>Compared with:</strong> ${results.competitors.map(escapeHTML).join(', ')}
+        </p>
+      ` : ''}
+      ${results.mode === 'site' ? `
+        <p class="lighthouse-widget__analyzed-url">
+          <strong>Pages audited:</strong> ${results.pages.length}
+        </p>
+      ` : ''}
       <p class="lighthouse-widget__analysis-time">
-        <strong>Strategy:</strong> ${results.strategy} • <strong>Time:</strong> ${new Date(results.timestamp).toLocaleString()}
+        <strong>Strategy:</strong> ${escapeHTML(getStrategyLabel(results.strategy))} • <strong>Time:</strong> ${new Date(results.cachedAt || results.timestamp).toLocaleString()}
       </p>
+      ${results.cached ? `
+        <p class="lighthouse-widget__cache-notice">
+          Showing a saved result from ${new Date(results.cachedAt).toLocaleString()}.
+          <button type="button" class="lighthouse-widget__refresh-btn">Run fresh analysis</button>
+        </p>
+      ` : ''}
+      ${results.shared ? `
+        <p class="lighthouse-widget__cache-notice">
+          Showing a shared report from ${new Date(results.sharedAt).toLocaleString()}.
+          <button type="button" class="lighthouse-widget__refresh-btn">Run fresh analysis</button>
+        </p>
+      ` : ''}
     `;
+
+    const refreshBtn = resultsMeta.querySelector('.lighthouse-widget__refresh-btn');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => runAnalysis(container, results.url, {
+        fresh: true,
+        strategy: results.strategy,
+        competitors: results.competitors,
+        ...getLocalTerms(container)
+      }));
+    }
+    
+    // Export actions always work on the latest results
+    container._results = results;
+    updateLeadGate(container, locked);
+    container.querySelector('[data-report-action="share"]').style.display = getShareUrl(results) ? '' : 'none';
     
     // Show results
     resultsContainer.style.display = 'block';
@@ -505,6 +2177,220 @@
     setupResultClickHandlers(container);
   }
 
+  function hasUnlockedLeadGate() {
+    try {
+      return window.localStorage.getItem(CONFIG.leadStorageKey) === 'true';
+    } catch {
+      return false;
+    }
+  }
+
+  // The gate only hides recommendations the API has already sent, so it's a
+  // prompt to get in touch rather than access control
+  function isLeadGateLocked(container) {
+    return container.dataset.leadCapture !== undefined &&
+      container.dataset.leadCapture !== 'false' &&
+      !container._leadUnlocked &&
+      !hasUnlockedLeadGate();
+  }
+
+  // Compact Lighthouse summary attached to the lead
+  function createLeadSummary(results) {
+    const primary = getReportColumns(results)[0].run;
+    const topIssues = results.mode === 'site'
+      ? results.recurringIssues.map(issue => issue.title)
+      : Object.keys(scoreDescriptions)
+        .flatMap(key => primary.apiRecommendations?.[key] || [])
+        .filter(recommendation => recommendation.impact === 'High')
+        .map(recommendation => recommendation.title);
+
+    return {
+      url: results.url,
+      strategy: results.strategy,
+      analyzedAt: results.cachedAt || results.timestamp,
+      scores: {
+        performance: primary.performance,
+        accessibility: primary.accessibility,
+        bestPractices: primary.bestPractices,
+        seo: primary.seo,
+        localSeo: getLocalSeoScore(results)
+      },
+      competitors: results.competitors || [],
+      topIssues: [...new Set(topIssues)].slice(0, 10)
+    };
+  }
+
+  function createLeadGateHTML(widgetId) {
+    return `
+      <form class="lighthouse-widget__lead-form" novalidate>
+        <h4 class="lighthouse-widget__lead-title">Unlock your detailed recommendations</h4>
+        <p class="lighthouse-widget__lead-description">
+          Your scores are above. Tell us where to send the follow-up and we'll show you exactly what to fix.
+        </p>
+        <div class="lighthouse-widget__input-group">
+          <label class="lighthouse-widget__label" for="${widgetId}-lead-name">Name</label>
+          <input type="text" id="${widgetId}-lead-name" class="lighthouse-widget__lead-input" name="name" autocomplete="name" required />
+        </div>
+        <div class="lighthouse-widget__input-group">
+          <label class="lighthouse-widget__label" for="${widgetId}-lead-email">Email</label>
+          <input type="email" id="${widgetId}-lead-email" class="lighthouse-widget__lead-input" name="email" autocomplete="email" required />
+        </div>
+        <div class="lighthouse-widget__input-group">
+          <label class="lighthouse-widget__label" for="${widgetId}-lead-phone">
+            Phone <span class="lighthouse-widget__label-hint">(optional)</span>
+          </label>
+          <input type="tel" id="${widgetId}-lead-phone" class="lighthouse-widget__lead-input" name="phone" autocomplete="tel" />
+        </div>
+        <div class="lighthouse-widget__lead-honeypot" aria-hidden="true">
+          <label for="${widgetId}-lead-company-site">Leave this field empty</label>
+          <input type="text" id="${widgetId}-lead-company-site" name="company_site" tabindex="-1" autocomplete="off" />
+        </div>
+        <p class="lighthouse-widget__lead-error" role="alert" style="display: none;"></p>
+        <button type="submit" class="lighthouse-widget__submit-btn lighthouse-widget__lead-submit">Show my recommendations</button>
+      </form>
+    `;
+  }
+
+  // Show the gate form while locked; re-render the results once unlocked
+  function updateLeadGate(container, locked) {
+    const gate = container.querySelector('.lighthouse-widget__lead-gate');
+    const actions = container.querySelector('.lighthouse-widget__results-actions');
+
+    // The exported report includes every recommendation, so it unlocks with
+    // them; it is built around a single page, so site audits never show it
+    actions.style.display = (locked || container._results.mode === 'site') ? 'none' : '';
+
+    if (!locked) {
+      gate.style.display = 'none';
+      gate.innerHTML = '';
+      return;
+    }
+
+    gate.innerHTML = createLeadGateHTML(container.querySelector('.lighthouse-widget').id);
+    gate.style.display = 'block';
+    container._leadFormRenderedAt = Date.now();
+
+    container.querySelectorAll('[data-scroll-to-gate]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        gate.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        gate.querySelector('input[name="name"]').focus({ preventScroll: true });
+      });
+    });
+
+    gate.querySelector('.lighthouse-widget__lead-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitLead(container, e.target);
+    });
+  }
+
+  async function submitLead(container, form) {
+    const errorEl = form.querySelector('.lighthouse-widget__lead-error');
+    const submitBtn = form.querySelector('.lighthouse-widget__lead-submit');
+    const name = form.elements.name.value.trim();
+    const email = form.elements.email.value.trim();
+    const phone = form.elements.phone.value.trim();
+
+    const showError = (message) => {
+      errorEl.textContent = message;
+      errorEl.style.display = 'block';
+    };
+
+    if (!name) {
+      showError('Please enter your name.');
+      form.elements.name.focus();
+      return;
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) {
+      showError('Please enter a valid email address.');
+      form.elements.email.focus();
+      return;
+    }
+
+    errorEl.style.display = 'none';
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Unlocking...';
+
+    try {
+      const response = await fetch(CONFIG.leadsEndpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name,
+          email,
+          phone,
+          honeypot: form.elements.company_site.value,
+          formRenderedAt: container._leadFormRenderedAt,
+          source: window.location.href,
+          summary: createLeadSummary(container._results)
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const messages = {
+          name_required: 'Please enter your name.',
+          email_invalid: 'Please enter a valid email address.',
+          phone_invalid: 'Please enter a valid phone number or leave it empty.',
+          rate_limited: 'Too many submissions. Please try again in a little while.'
+        };
+        throw new Error(messages[errorData.code] || 'Something went wrong. Please try again.');
+      }
+
+      container._leadUnlocked = true;
+      try {
+        window.localStorage.setItem(CONFIG.leadStorageKey, 'true');
+      } catch {
+        // Private browsing: the unlock still lasts for this page view
+      }
+
+      displayResults(container, container._results);
+    } catch (error) {
+      console.error('Lead submission failed:', error);
+      showError(error.message);
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Show my recommendations';
+    }
+  }
+
+  // Setup export/print buttons (bound once; they read container._results)
+  function setupReportActions(container) {
+    container.querySelectorAll('[data-report-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        if (!container._results) return;
+
+        if (button.dataset.reportAction === 'print') {
+          printReport(container._results);
+        } else if (button.dataset.reportAction === 'share') {
+          copyShareLink(container, button, container._results);
+        } else {
+          downloadReport(container._results);
+        }
+      });
+    });
+  }
+
+  async function copyShareLink(container, button, results) {
+    const shareUrl = getShareUrl(results);
+    if (!shareUrl) return;
+
+    const eventDetail = { url: results.url, link: shareUrl, type: 'report' };
+    emitWidgetEvent(container, 'link:generated', eventDetail);
+
+    const label = button.textContent;
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      button.textContent = 'Link copied!';
+      emitWidgetEvent(container, 'link:copied', eventDetail);
+    } catch (error) {
+      // Clipboard access can be blocked (insecure context, permissions)
+      window.prompt('Copy this link to share the report:', shareUrl);
+    }
+    setTimeout(() => { button.textContent = label; }, 2000);
+  }
+
   // Setup click handlers for expandable results
   function setupResultClickHandlers(container) {
     const resultRows = container.querySelectorAll('.lighthouse-widget__result-row');
@@ -544,51 +2430,243 @@
   }
 
   // Setup form submission
+  // Auto-add https:// and check the URL parses; returns null when invalid
+  function normalizeInputUrl(value) {
+    let url = value.trim();
+
+    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+      url = 'https://' + url;
+    }
+
+    try {
+      new URL(url);
+      return url;
+    } catch {
+      return null;
+    }
+  }
+
+  // City and service from the optional form fields, empty ones left out
+  function getLocalTerms(container) {
+    const terms = {};
+    ['city', 'service'].forEach(key => {
+      const value = container.querySelector(`.lighthouse-widget__input--${key}`)?.value.trim();
+      if (value) terms[key] = value;
+    });
+    return terms;
+  }
+
   function setupFormHandler(container) {
     const form = container.querySelector('.lighthouse-widget__form');
-    const input = container.querySelector('.lighthouse-widget__input');
+    const input = container.querySelector('.lighthouse-widget__input--primary');
+    const competitorInputs = container.querySelectorAll('.lighthouse-widget__input--competitor');
     
     form.addEventListener('submit', async (e) => {
       e.preventDefault();
       
-      let url = input.value.trim();
+      if (!input.value.trim()) {
+        showNotice(container, 'Please enter a website URL', { type: 'error' });
+        input.focus();
+        return;
+      }
       
+      const url = normalizeInputUrl(input.value);
       if (!url) {
-        alert('Please enter a website URL');
+        showNotice(container, 'Please enter a valid website URL (e.g., google.com or example.com)', { type: 'error' });
+        input.focus();
         return;
       }
+
+      const competitors = [];
+      for (const competitorInput of competitorInputs) {
+        if (!competitorInput.value.trim()) continue;
+
+        const competitorUrl = normalizeInputUrl(competitorInput.value);
+        if (!competitorUrl) {
+          showNotice(container, 'Please enter a valid competitor URL (e.g., competitor.com) or leave the field empty', { type: 'error' });
+          competitorInput.focus();
+          return;
+        }
+        competitors.push(competitorUrl);
+      }
       
-      // Auto-add https:// if no protocol is provided
-      if (!url.startsWith('http://') && !url.startsWith('https://')) {
-        url = 'https://' + url;
+      await runAnalysis(container, url, {
+        ...(competitors.length > 0 ? { competitors } : {}),
+        ...getLocalTerms(container)
+      });
+    });
+  }
+
+  // Run an analysis and render the results into the widget
+  async function runAnalysis(container, url, options = {}) {
+    // Starting a new run (e.g. "Run fresh analysis") replaces the one in flight
+    cancelAnalysis(container);
+    clearNotice(container);
+
+    // _abortController is cleared on cancel; _currentRun only changes when a
+    // newer run takes over, so a cancelled run still reports its cancellation
+    const controller = new AbortController();
+    const isCurrent = () => container._currentRun === controller;
+    container._abortController = controller;
+    container._currentRun = controller;
+
+    const strategy = options.strategy || getStrategy(container);
+    const competitors = options.competitors || [];
+    const siteMode = container.dataset.mode === 'site';
+    const eventDetail = { url, strategy, competitors: competitors.length, fresh: Boolean(options.fresh) };
+    const onProgress = message => {
+      if (isCurrent()) setLoadingState(container, true, message);
+    };
+
+    try {
+      let runningMessage = 'Running Lighthouse analysis...';
+      if (siteMode) {
+        runningMessage = 'Finding your pages and running Lighthouse on each one. This can take a few minutes...';
+      } else if (competitors.length > 0) {
+        runningMessage = `Analyzing your site and ${competitors.length} competitor${competitors.length > 1 ? 's' : ''}...`;
+      } else if (strategy === 'both') {
+        runningMessage = 'Running mobile and desktop Lighthouse analyses...';
+      }
+      setLoadingState(container, true, runningMessage);
+      emitWidgetEvent(container, 'analyze:start', eventDetail);
+
+      const requestOptions = { ...options, strategy, signal: controller.signal, onProgress };
+      // The page fetch behind the local SEO checks is quick, so it runs alongside Lighthouse
+      const localSeoRequest = siteMode ? null : callLocalSeoAPI(url, controller.signal, {
+        city: options.city,
+        service: options.service
+      });
+      // Awaited below; this only keeps an abort that lands first from being reported as unhandled
+      if (localSeoRequest) localSeoRequest.catch(() => {});
+      let results;
+      if (siteMode) {
+        // Like compare mode, a site audit shows one score per page
+        results = await callSiteAuditAPI(url, { ...requestOptions, strategy: strategy === 'both' ? 'mobile' : strategy });
+      } else if (competitors.length > 0) {
+        results = await callLighthouseAPIForComparison(url, competitors, requestOptions);
+      } else if (strategy === 'both') {
+        results = await callLighthouseAPIForBothStrategies(url, requestOptions);
+      } else {
+        results = await callLighthouseAPI(url, requestOptions);
+      }
+      throwIfAborted(controller.signal);
+
+      onProgress('Loading score history...');
+      await attachHistory(results, controller.signal);
+      throwIfAborted(controller.signal);
+      if (localSeoRequest) {
+        getLocalSeoTarget(results).localSeo = await localSeoRequest;
+        throwIfAborted(controller.signal);
       }
+      if (!isCurrent()) return;
+
+      container._abortController = null;
+      displayResults(container, results);
+      setLoadingState(container, false);
+      emitWidgetEvent(container, 'analyze:success', {
+        ...eventDetail,
+        cached: Boolean(results.cached),
+        reportId: (getReportIds(results) || []).join(',') || null,
+        scores: getEventScores(results),
+        results
+      });
       
-      // Basic URL validation
-      try {
-        new URL(url);
-      } catch {
-        alert('Please enter a valid website URL (e.g., google.com or example.com)');
+    } catch (error) {
+      // A newer run took over; it owns the loading state now
+      if (!isCurrent()) return;
+
+      container._abortController = null;
+      setLoadingState(container, false);
+
+      const cancelled = error.name === 'AbortError';
+      emitWidgetEvent(container, 'analyze:error', {
+        ...eventDetail,
+        code: cancelled ? 'cancelled' : error.code || null,
+        message: error.message,
+        cancelled
+      });
+
+      if (cancelled) {
+        showNotice(container, 'Analysis cancelled.', { retry: () => runAnalysis(container, url, options) });
         return;
       }
-      
-      try {
-        setLoadingState(container, true, 'Preparing to analyze website...');
-        
-        setTimeout(() => setLoadingState(container, true, 'Running Lighthouse analysis...'), 1000);
-        const results = await callLighthouseAPI(url);
-        
-        setLoadingState(container, true, 'Processing results...');
-        setTimeout(() => {
-          displayResults(container, results);
-          setLoadingState(container, false);
-        }, 500);
-        
-      } catch (error) {
-        console.error('Error analyzing URL:', error);
-        alert('Error: ' + (error.message || 'Error analyzing website. Please try again.'));
-        setLoadingState(container, false);
+
+      console.error('Error analyzing URL:', error);
+
+      if (error.retryAfter) {
+        startRetryCountdown(container, error.message, error.retryAfter);
+        return;
       }
-    });
+
+      showNotice(container, error.message || 'Error analyzing website. Please try again.', {
+        type: 'error',
+        retry: () => runAnalysis(container, url, options)
+      });
+    }
+  }
+
+  // Render a shared report (?report=<id>) without re-running the analysis
+  async function loadSharedReport(container, reportIds, localSeoId) {
+    try {
+      setLoadingState(container, true, 'Loading shared report...');
+      const results = await loadSharedResults(reportIds);
+      await attachHistory(results);
+      if (localSeoId) {
+        getLocalSeoTarget(results).localSeo = await callSharedLocalSeoAPI(localSeoId);
+      }
+
+      displayResults(container, results);
+      setLoadingState(container, false);
+      container.querySelector('.lighthouse-widget__input--primary').value = results.url;
+      container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    } catch (error) {
+      console.error('Error loading shared report:', error);
+      setLoadingState(container, false);
+      showNotice(container, error.message || 'Could not load the shared report.', {
+        type: 'error',
+        retry: () => loadSharedReport(container, reportIds, localSeoId)
+      });
+    }
+  }
+
+  function formatCountdown(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = String(seconds % 60).padStart(2, '0');
+    return `${minutes}:${remainder}`;
+  }
+
+  // Keep the form disabled and show a countdown until the rate limit resets
+  function startRetryCountdown(container, message, seconds) {
+    const notice = container.querySelector('.lighthouse-widget__notice');
+    const submitBtn = container.querySelector('.lighthouse-widget__submit-btn');
+    let remaining = seconds;
+
+    clearInterval(container._retryTimer);
+
+    const render = () => {
+      notice.textContent = `${message} You can run another analysis in ${formatCountdown(remaining)}.`;
+    };
+
+    submitBtn.disabled = true;
+    notice.className = 'lighthouse-widget__notice';
+    notice.style.display = 'block';
+    render();
+
+    container._retryTimer = setInterval(() => {
+      remaining -= 1;
+
+      if (remaining <= 0) {
+        clearInterval(container._retryTimer);
+        container._retryTimer = null;
+        notice.style.display = 'none';
+        notice.textContent = '';
+        submitBtn.disabled = false;
+        return;
+      }
+
+      render();
+    }, 1000);
   }
 
   // Initialize widget in a container
@@ -596,15 +2674,29 @@
     if (container.dataset.initialized) return;
     
     const title = container.dataset.title || 'Website Performance Analyzer';
+    const mode = ['compare', 'site'].includes(container.dataset.mode) ? container.dataset.mode : 'single';
     
     // Insert widget HTML
-    container.innerHTML = createWidgetHTML(title);
+    container.innerHTML = createWidgetHTML(title, mode, {
+      city: container.dataset.city,
+      service: container.dataset.service
+    });
     
     // Setup form handler
     setupFormHandler(container);
+    setupReportActions(container);
+    container.querySelector('.lighthouse-widget__cancel-btn')
+      .addEventListener('click', () => cancelAnalysis(container));
     
     // Mark as initialized
     container.dataset.initialized = 'true';
+
+    // Only the first widget on the page picks up a shared report link
+    const sharedReportIds = getSharedReportIdsFromPage();
+    if (sharedReportIds && !sharedReportClaimed) {
+      sharedReportClaimed = true;
+      loadSharedReport(container, sharedReportIds, getSharedLocalSeoIdFromPage());
+    }
   }
 
   // Initialize all widgets on the page
@@ -624,6 +2716,8 @@
   window.LighthouseWidget = {
     init: initAllWidgets,
     initContainer: initWidget,
+    on,
+    off,
     config: CONFIG
   };
 
@@ -0,0 +1,610 @@
+/**
+ * QR Code Encoder - Vanilla JavaScript, no dependencies
+ * Encodes text as a QR code (ISO/IEC 18004: byte mode, UTF-8, versions 1-40,
+ * error correction L/M/Q/H) and renders it as SVG markup or a canvas/PNG at
+ * any size, so the review tools work offline and without CDN scripts.
+ * Load before js/review-qr-widget.js, which reads it as window.QREncoder.
+ *
+ *   var qr = QREncoder.encode("https://example.com", { ecc: "M" });
+ *   qr.version, qr.size, qr.mask, qr.isDark(x, y)
+ *   QREncoder.toSVG(qr, { size: 240, margin: 4 })        -> "<svg ...>"
+ *   QREncoder.toCanvas(qr, { size: 240, pixelRatio: 2 }) -> <canvas>
+ *   QREncoder.toPNG(qr, { size: 1024 })                  -> "data:image/png;base64,..."
+ *
+ * The version is the smallest that fits (or options.version); the mask is the
+ * one with the lowest penalty score unless options.mask (0-7) is given.
+ */
+(function () {
+  "use strict";
+
+  var ECC_LEVELS = ["L", "M", "Q", "H"];
+
+  // Format information bits per level (not in L-M-Q-H order)
+  var ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+  // Error correction codewords per block, indexed by level then version (1-40)
+  var ECC_CODEWORDS_PER_BLOCK = {
+    L: [7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  };
+
+  // Error correction blocks, indexed by level then version (1-40)
+  var ECC_BLOCKS = {
+    L: [1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+  };
+
+  var MODE_BYTE = 4;
+  var PAD_BYTES = [0xec, 0x11];
+
+  // Penalty weights from the spec's mask evaluation (N1-N4)
+  var PENALTY_RUN = 3;
+  var PENALTY_BLOCK = 3;
+  var PENALTY_FINDER_LIKE = 40;
+  var PENALTY_BALANCE = 10;
+
+  // ── Encoding helpers ───────────────────────────────────────────────────────
+
+  function toUtf8Bytes(text) {
+    if (typeof TextEncoder !== "undefined") {
+      return Array.prototype.slice.call(new TextEncoder().encode(text));
+    }
+    var binary = unescape(encodeURIComponent(text));
+    var bytes = [];
+    for (var i = 0; i < binary.length; i++) bytes.push(binary.charCodeAt(i));
+    return bytes;
+  }
+
+  // Modules left for data and error correction once function patterns are drawn
+  function getRawModuleCount(version) {
+    var result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      var alignCount = Math.floor(version / 7) + 2;
+      result -= (25 * alignCount - 10) * alignCount - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function getDataCodewordCount(version, ecc) {
+    return (
+      Math.floor(getRawModuleCount(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[ecc][version - 1] * ECC_BLOCKS[ecc][version - 1]
+    );
+  }
+
+  function getCountBits(version) {
+    return version < 10 ? 8 : 16;
+  }
+
+  function getDataBitLength(byteCount, version) {
+    return 4 + getCountBits(version) + byteCount * 8;
+  }
+
+  function chooseVersion(byteCount, ecc, minVersion) {
+    for (var version = minVersion; version <= 40; version++) {
+      if (getDataBitLength(byteCount, version) <= getDataCodewordCount(version, ecc) * 8) {
+        return version;
+      }
+    }
+    return null;
+  }
+
+  function buildDataCodewords(bytes, version, ecc) {
+    var bits = [];
+    var appendBits = function (value, length) {
+      for (var i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    appendBits(MODE_BYTE, 4);
+    appendBits(bytes.length, getCountBits(version));
+    bytes.forEach(function (byte) {
+      appendBits(byte, 8);
+    });
+
+    // Terminator, then zero bits to a byte boundary, then alternating pad bytes
+    var capacityBits = getDataCodewordCount(version, ecc) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - (bits.length % 8)) % 8);
+
+    var codewords = [];
+    for (var i = 0; i < bits.length; i += 8) {
+      codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+    }
+    for (var pad = 0; codewords.length < capacityBits / 8; pad++) {
+      codewords.push(PAD_BYTES[pad % 2]);
+    }
+    return codewords;
+  }
+
+  // ── Reed-Solomon over GF(256), polynomial 0x11D ────────────────────────────
+
+  function gfMultiply(x, y) {
+    var z = 0;
+    for (var i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function getGeneratorPolynomial(degree) {
+    var result = [];
+    for (var i = 0; i < degree - 1; i++) result.push(0);
+    result.push(1);
+
+    var root = 1;
+    for (var n = 0; n < degree; n++) {
+      for (var j = 0; j < degree; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function getRemainder(data, generator) {
+    var result = generator.map(function () {
+      return 0;
+    });
+
+    data.forEach(function (byte) {
+      var factor = byte ^ result.shift();
+      result.push(0);
+      generator.forEach(function (coefficient, i) {
+        result[i] ^= gfMultiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  // Split data into blocks, add error correction, interleave
+  function addErrorCorrection(data, version, ecc) {
+    var blockCount = ECC_BLOCKS[ecc][version - 1];
+    var eccLength = ECC_CODEWORDS_PER_BLOCK[ecc][version - 1];
+    var rawCodewords = Math.floor(getRawModuleCount(version) / 8);
+    var shortBlockCount = blockCount - (rawCodewords % blockCount);
+    var shortBlockLength = Math.floor(rawCodewords / blockCount);
+    var generator = getGeneratorPolynomial(eccLength);
+
+    var blocks = [];
+    for (var i = 0, offset = 0; i < blockCount; i++) {
+      var dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+      var blockData = data.slice(offset, offset + dataLength);
+      offset += dataLength;
+      blocks.push({ data: blockData, ecc: getRemainder(blockData, generator) });
+    }
+
+    var result = [];
+    for (var d = 0; d <= shortBlockLength - eccLength; d++) {
+      blocks.forEach(function (block) {
+        if (d < block.data.length) result.push(block.data[d]);
+      });
+    }
+    for (var e = 0; e < eccLength; e++) {
+      blocks.forEach(function (block) {
+        result.push(block.ecc[e]);
+      });
+    }
+    return result;
+  }
+
+  // ── Module matrix ──────────────────────────────────────────────────────────
+
+  function createMatrix(size) {
+    var modules = [];
+    var isFunction = [];
+    for (var y = 0; y < size; y++) {
+      modules.push(new Array(size).fill(false));
+      isFunction.push(new Array(size).fill(false));
+    }
+    return { size: size, modules: modules, isFunction: isFunction };
+  }
+
+  function setFunctionModule(matrix, x, y, dark) {
+    matrix.modules[y][x] = dark;
+    matrix.isFunction[y][x] = true;
+  }
+
+  function getAlignmentPositions(version) {
+    if (version === 1) return [];
+
+    var count = Math.floor(version / 7) + 2;
+    var step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    var positions = [6];
+    for (var pos = version * 4 + 10; positions.length < count; pos -= step) {
+      positions.splice(1, 0, pos);
+    }
+    return positions;
+  }
+
+  function drawFinderPattern(matrix, centerX, centerY) {
+    for (var dy = -4; dy <= 4; dy++) {
+      for (var dx = -4; dx <= 4; dx++) {
+        var x = centerX + dx;
+        var y = centerY + dy;
+        if (x < 0 || x >= matrix.size || y < 0 || y >= matrix.size) continue;
+
+        var distance = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunctionModule(matrix, x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  function drawAlignmentPattern(matrix, centerX, centerY) {
+    for (var dy = -2; dy <= 2; dy++) {
+      for (var dx = -2; dx <= 2; dx++) {
+        setFunctionModule(
+          matrix,
+          centerX + dx,
+          centerY + dy,
+          Math.max(Math.abs(dx), Math.abs(dy)) !== 1,
+        );
+      }
+    }
+  }
+
+  function drawFormatBits(matrix, ecc, mask) {
+    var data = (ECC_FORMAT_BITS[ecc] << 3) | mask;
+    var remainder = data;
+    for (var i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    var bits = ((data << 10) | remainder) ^ 0x5412;
+    var bit = function (index) {
+      return ((bits >>> index) & 1) !== 0;
+    };
+    var size = matrix.size;
+
+    // Copy next to the top left finder
+    for (var a = 0; a <= 5; a++) setFunctionModule(matrix, 8, a, bit(a));
+    setFunctionModule(matrix, 8, 7, bit(6));
+    setFunctionModule(matrix, 8, 8, bit(7));
+    setFunctionModule(matrix, 7, 8, bit(8));
+    for (var b = 9; b < 15; b++) setFunctionModule(matrix, 14 - b, 8, bit(b));
+
+    // Copy split between the other two finders, plus the always-dark module
+    for (var c = 0; c < 8; c++) setFunctionModule(matrix, size - 1 - c, 8, bit(c));
+    for (var d = 8; d < 15; d++) setFunctionModule(matrix, 8, size - 15 + d, bit(d));
+    setFunctionModule(matrix, 8, size - 8, true);
+  }
+
+  function drawVersionBits(matrix, version) {
+    if (version < 7) return;
+
+    var remainder = version;
+    for (var i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    var bits = (version << 12) | remainder;
+
+    for (var j = 0; j < 18; j++) {
+      var dark = ((bits >>> j) & 1) !== 0;
+      var a = matrix.size - 11 + (j % 3);
+      var b = Math.floor(j / 3);
+      setFunctionModule(matrix, a, b, dark);
+      setFunctionModule(matrix, b, a, dark);
+    }
+  }
+
+  function drawFunctionPatterns(matrix, version, ecc) {
+    var size = matrix.size;
+
+    for (var i = 0; i < size; i++) {
+      setFunctionModule(matrix, 6, i, i % 2 === 0);
+      setFunctionModule(matrix, i, 6, i % 2 === 0);
+    }
+
+    drawFinderPattern(matrix, 3, 3);
+    drawFinderPattern(matrix, size - 4, 3);
+    drawFinderPattern(matrix, 3, size - 4);
+
+    var positions = getAlignmentPositions(version);
+    var last = positions.length - 1;
+    positions.forEach(function (x, xi) {
+      positions.forEach(function (y, yi) {
+        // Skip the three corners the finder patterns occupy
+        var overlapsFinder =
+          (xi === 0 && yi === 0) || (xi === 0 && yi === last) || (xi === last && yi === 0);
+        if (!overlapsFinder) drawAlignmentPattern(matrix, x, y);
+      });
+    });
+
+    // Reserve the format areas now; the real bits go in once the mask is chosen
+    drawFormatBits(matrix, ecc, 0);
+    drawVersionBits(matrix, version);
+  }
+
+  // Zigzag the codewords up and down two-module columns, right to left
+  function drawCodewords(matrix, codewords) {
+    var size = matrix.size;
+    var bitIndex = 0;
+    var totalBits = codewords.length * 8;
+
+    for (var right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // the vertical timing pattern column
+
+      for (var vert = 0; vert < size; vert++) {
+        for (var j = 0; j < 2; j++) {
+          var x = right - j;
+          var upward = ((right + 1) & 2) === 0;
+          var y = upward ? size - 1 - vert : vert;
+
+          if (!matrix.isFunction[y][x] && bitIndex < totalBits) {
+            matrix.modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+            bitIndex++;
+          }
+        }
+      }
+    }
+  }
+
+  var MASK_PATTERNS = [
+    function (x, y) { return (x + y) % 2 === 0; },
+    function (x, y) { return y % 2 === 0; },
+    function (x) { return x % 3 === 0; },
+    function (x, y) { return (x + y) % 3 === 0; },
+    function (x, y) { return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; },
+    function (x, y) { return ((x * y) % 2) + ((x * y) % 3) === 0; },
+    function (x, y) { return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0; },
+    function (x, y) { return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0; },
+  ];
+
+  // Masking twice with the same pattern undoes it
+  function applyMask(matrix, mask) {
+    var pattern = MASK_PATTERNS[mask];
+    for (var y = 0; y < matrix.size; y++) {
+      for (var x = 0; x < matrix.size; x++) {
+        if (!matrix.isFunction[y][x] && pattern(x, y)) {
+          matrix.modules[y][x] = !matrix.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // ── Mask penalty (ISO/IEC 18004 section 7.8.3) ─────────────────────────────
+
+  function getLinePenalty(line) {
+    var penalty = 0;
+    var runLength = 1;
+
+    for (var i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === line[i - 1]) {
+        runLength++;
+        continue;
+      }
+      if (runLength >= 5) penalty += PENALTY_RUN + (runLength - 5);
+      runLength = 1;
+    }
+
+    // 1:1:3:1:1 finder-like runs with four light modules on either side;
+    // past the edges counts as light, like the quiet zone
+    var isDark = function (index) {
+      return index >= 0 && index < line.length && line[index];
+    };
+    for (var start = -4; start + 7 <= line.length + 4; start++) {
+      var core =
+        isDark(start) && !isDark(start + 1) && isDark(start + 2) && isDark(start + 3) &&
+        isDark(start + 4) && !isDark(start + 5) && isDark(start + 6);
+      if (!core) continue;
+
+      var lightBefore = !isDark(start - 1) && !isDark(start - 2) && !isDark(start - 3) && !isDark(start - 4);
+      var lightAfter = !isDark(start + 7) && !isDark(start + 8) && !isDark(start + 9) && !isDark(start + 10);
+      if (lightBefore) penalty += PENALTY_FINDER_LIKE;
+      if (lightAfter) penalty += PENALTY_FINDER_LIKE;
+    }
+
+    return penalty;
+  }
+
+  function getPenaltyScore(matrix) {
+    var size = matrix.size;
+    var modules = matrix.modules;
+    var penalty = 0;
+    var darkCount = 0;
+
+    for (var y = 0; y < size; y++) {
+      var column = [];
+      for (var x = 0; x < size; x++) column.push(modules[x][y]);
+      penalty += getLinePenalty(modules[y]) + getLinePenalty(column);
+    }
+
+    for (var by = 0; by < size - 1; by++) {
+      for (var bx = 0; bx < size - 1; bx++) {
+        var color = modules[by][bx];
+        if (color === modules[by][bx + 1] && color === modules[by + 1][bx] && color === modules[by + 1][bx + 1]) {
+          penalty += PENALTY_BLOCK;
+        }
+      }
+    }
+
+    modules.forEach(function (row) {
+      row.forEach(function (dark) {
+        if (dark) darkCount++;
+      });
+    });
+    var total = size * size;
+    var deviation = Math.abs(darkCount * 20 - total * 10);
+    penalty += Math.max(0, Math.ceil(deviation / total) - 1) * PENALTY_BALANCE;
+
+    return penalty;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  /**
+   * Encode text as a QR code.
+   * options.ecc      "L", "M" (default), "Q" or "H"
+   * options.version  Force a version (1-40); otherwise the smallest that fits,
+   *                  no smaller than options.minVersion
+   * options.mask     Force a mask pattern (0-7)
+   * Throws when the text doesn't fit in a version 40 symbol at that level.
+   */
+  function encode(text, options) {
+    options = options || {};
+    var ecc = String(options.ecc || "M").toUpperCase();
+    if (ECC_LEVELS.indexOf(ecc) === -1) {
+      throw new RangeError("QREncoder: unknown error correction level " + options.ecc);
+    }
+
+    var bytes = toUtf8Bytes(String(text));
+    var version = options.version
+      ? chooseVersion(bytes.length, ecc, options.version) === options.version ? options.version : null
+      : chooseVersion(bytes.length, ecc, options.minVersion || 1);
+    if (!version) {
+      throw new RangeError("QREncoder: text is too long for the requested version and error correction level");
+    }
+
+    var codewords = addErrorCorrection(buildDataCodewords(bytes, version, ecc), version, ecc);
+    var matrix = createMatrix(version * 4 + 17);
+    drawFunctionPatterns(matrix, version, ecc);
+    drawCodewords(matrix, codewords);
+
+    var mask = options.mask;
+    if (!(mask >= 0 && mask <= 7)) {
+      var lowestPenalty = Infinity;
+      for (var candidate = 0; candidate < 8; candidate++) {
+        applyMask(matrix, candidate);
+        drawFormatBits(matrix, ecc, candidate);
+        var penalty = getPenaltyScore(matrix);
+        if (penalty < lowestPenalty) {
+          lowestPenalty = penalty;
+          mask = candidate;
+        }
+        applyMask(matrix, candidate);
+      }
+    }
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, ecc, mask);
+
+    var modules = matrix.modules;
+    return {
+      version: version,
+      ecc: ecc,
+      mask: mask,
+      size: matrix.size,
+      modules: modules,
+      isDark: function (x, y) {
+        return x >= 0 && y >= 0 && x < matrix.size && y < matrix.size && modules[y][x];
+      },
+    };
+  }
+
+  function escapeAttribute(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/"/g, "&quot;")
+      .replace(/</g, "&lt;");
+  }
+
+  /**
+   * Path data for the dark modules, one subpath per horizontal run, in module
+   * units offset by the margin. Useful for placing a QR code inside other SVG.
+   */
+  function toPathData(qr, margin) {
+    var offset = margin === undefined ? 4 : margin;
+    var parts = [];
+
+    for (var y = 0; y < qr.size; y++) {
+      for (var x = 0; x < qr.size; x++) {
+        if (!qr.modules[y][x]) continue;
+
+        var run = 1;
+        while (x + run < qr.size && qr.modules[y][x + run]) run++;
+        parts.push("M" + (x + offset) + " " + (y + offset) + "h" + run + "v1h-" + run + "z");
+        x += run - 1;
+      }
+    }
+    return parts.join("");
+  }
+
+  /**
+   * SVG markup for a QR code.
+   * options.size    Width/height attribute in pixels (omit to scale with CSS)
+   * options.margin  Quiet zone in modules (default 4, the spec minimum)
+   * options.dark / options.light  Colors (light "transparent" or "none" drops the background)
+   * options.title   Accessible name
+   */
+  function toSVG(qr, options) {
+    options = options || {};
+    var margin = options.margin === undefined ? 4 : options.margin;
+    var total = qr.size + margin * 2;
+    var light = options.light || "#ffffff";
+    var dark = options.dark || "#000000";
+    var dimensions = options.size ? ' width="' + options.size + '" height="' + options.size + '"' : "";
+
+    return (
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ' + total + " " + total + '"' +
+      dimensions + ' shape-rendering="crispEdges"' +
+      (options.title ? ' role="img" aria-label="' + escapeAttribute(options.title) + '"' : "") +
+      ">" +
+      (light === "transparent" || light === "none"
+        ? ""
+        : '<rect width="100%" height="100%" fill="' + escapeAttribute(light) + '"/>') +
+      '<path fill="' + escapeAttribute(dark) + '" d="' + toPathData(qr, margin) + '"/>' +
+      "</svg>"
+    );
+  }
+
+  /**
+   * Draw a QR code on a new canvas.
+   * options.size        CSS pixel width/height (default 256)
+   * options.pixelRatio  Backing store scale for sharp output on high-DPI screens
+   *                     (default window.devicePixelRatio)
+   * options.margin, options.dark, options.light  As for toSVG
+   */
+  function toCanvas(qr, options) {
+    options = options || {};
+    var margin = options.margin === undefined ? 4 : options.margin;
+    var size = options.size || 256;
+    var ratio = options.pixelRatio || window.devicePixelRatio || 1;
+    var pixels = Math.round(size * ratio);
+    var scale = pixels / (qr.size + margin * 2);
+
+    var canvas = document.createElement("canvas");
+    canvas.width = pixels;
+    canvas.height = pixels;
+    canvas.style.width = size + "px";
+    canvas.style.height = size + "px";
+
+    var context = canvas.getContext("2d");
+    if (!context) return canvas;
+
+    context.fillStyle = options.light || "#ffffff";
+    context.fillRect(0, 0, pixels, pixels);
+    context.fillStyle = options.dark || "#000000";
+
+    // Round each edge to whole pixels so neighbouring modules never leave seams
+    var edge = function (index) {
+      return Math.round((index + margin) * scale);
+    };
+    for (var y = 0; y < qr.size; y++) {
+      for (var x = 0; x < qr.size; x++) {
+        if (qr.modules[y][x]) {
+          context.fillRect(edge(x), edge(y), edge(x + 1) - edge(x), edge(y + 1) - edge(y));
+        }
+      }
+    }
+    return canvas;
+  }
+
+  // PNG data URL; options.size is the exact pixel size of the image
+  function toPNG(qr, options) {
+    var settings = Object.assign({}, options, { pixelRatio: 1 });
+    return toCanvas(qr, settings).toDataURL("image/png");
+  }
+
+  window.QREncoder = {
+    encode: encode,
+    toPathData: toPathData,
+    toSVG: toSVG,
+    toCanvas: toCanvas,
+    toPNG: toPNG,
+    ECC_LEVELS: ECC_LEVELS.slice(),
+  };
+})();
@@ -0,0 +1,761 @@
+/**
+ * Review Print Templates - Vanilla JavaScript, no dependencies
+ * Print-ready layouts for a Google review link: business card, table tent, door
+ * hanger and invoice sticker. Each combines the business name, an optional
+ * logo, a star graphic, the printed link and the QR code, and exports as SVG or
+ * PDF with a 1/8" bleed, entirely in the browser.
+ * Load after js/qr-encoder.js and before js/review-qr-widget.js, which reads it
+ * as window.ReviewPrintTemplates.
+ *
+ *   var data = { name, link, displayLink, accent: "#000000", logo, ecc: "M" };
+ *   ReviewPrintTemplates.toSVG("table-tent", data, { guides: true }) -> "<svg ...>"
+ *   ReviewPrintTemplates.toPDF("table-tent", data)                   -> Blob
+ *   ReviewPrintTemplates.loadLogo(file)                              -> Promise<logo>
+ *
+ * Layouts are laid out once in points (1/72") as a list of shapes, then drawn
+ * by either renderer, so the preview, SVG and PDF always match. Text uses
+ * Helvetica (a PDF standard font, so nothing is embedded) and is fitted with
+ * its real metrics. Everything is vector except the logo, which the PDF embeds
+ * as a 300 dpi JPEG on white. The door hanger's hole is a dashed cut guide.
+ */
+(function () {
+  "use strict";
+
+  var BLEED = 9; // 1/8" in points, what most print shops ask for
+  var MAX_LOGO_BYTES = 5 * 1024 * 1024;
+  var MAX_LOGO_PIXELS = 1200; // 4" at 300 dpi, the widest logo any layout prints
+  var LINE_HEIGHT = 1.2;
+  var QR_QUIET_ZONE = 4; // modules
+
+  var COLORS = {
+    paper: "#ffffff",
+    text: "#111827",
+    muted: "#4b5563",
+    star: "#fbbc04",
+    dieLine: "#9ca3af",
+    guide: "#ec008c",
+  };
+  var DEFAULT_ACCENT = "#000000";
+  var FONT_FAMILY = "Helvetica, Arial, sans-serif";
+
+  // Helvetica and Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126;
+  // Arial, which SVG viewers fall back to, shares the metrics
+  var FONT_WIDTHS = {
+    regular: [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+    ],
+    bold: [
+      278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+      975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+      333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+      611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+    ],
+  };
+  var DEFAULT_CHAR_WIDTH = 556;
+  var PDF_FONTS = { regular: "F1", bold: "F2" };
+
+  // Characters outside Latin-1 that WinAnsiEncoding (the standard fonts'
+  // encoding) still has; anything else prints as "?"
+  var WIN_ANSI_EXTRAS = {
+    "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92,
+    "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96,
+    "—": 0x97, "™": 0x99,
+  };
+
+  // ── Text ───────────────────────────────────────────────────────────────────
+
+  function measureText(text, font, size) {
+    var widths = FONT_WIDTHS[font];
+    var total = 0;
+    for (var i = 0; i < text.length; i++) {
+      var code = text.charCodeAt(i);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_CHAR_WIDTH;
+    }
+    return (total * size) / 1000;
+  }
+
+  // Greedy line breaking; breakAnywhere splits between any characters (URLs)
+  function wrapText(text, font, size, maxWidth, breakAnywhere) {
+    var tokens = breakAnywhere ? text.split("") : text.split(/\s+/);
+    var separator = breakAnywhere ? "" : " ";
+    var lines = [];
+    var line = "";
+
+    tokens.forEach(function (token) {
+      var candidate = line ? line + separator + token : token;
+      if (!line || measureText(candidate, font, size) <= maxWidth) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = token;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Largest size from options.size down to options.minSize at which the text
+   * fits maxWidth in maxLines lines. At minSize the last line is cut short
+   * with an ellipsis.
+   */
+  function fitText(text, options) {
+    var maxLines = options.maxLines || 1;
+    var lines;
+
+    // Links read better shrunk onto one line than broken mid-word; names
+    // read better large over two lines
+    for (var lineCount = options.breakAnywhere ? 1 : maxLines; lineCount <= maxLines; lineCount++) {
+      for (var size = options.size; size >= options.minSize; size -= 0.5) {
+        lines = wrapText(text, options.font, size, options.maxWidth, options.breakAnywhere);
+        if (lines.length <= lineCount && lines.every(function (l) {
+          return measureText(l, options.font, size) <= options.maxWidth;
+        })) {
+          return { size: size, lines: lines };
+        }
+      }
+    }
+
+    size = options.minSize;
+    lines = wrapText(text, options.font, size, options.maxWidth, true).slice(0, maxLines);
+    var last = lines[lines.length - 1];
+    while (last.length > 1 && measureText(last + "…", options.font, size) > options.maxWidth) {
+      last = last.slice(0, -1);
+    }
+    lines[lines.length - 1] = last.replace(/\s+$/, "") + "…";
+    return { size: size, lines: lines };
+  }
+
+  function getDisplayLink(url) {
+    return String(url || "")
+      .replace(/^https?:\/\//i, "")
+      .replace(/^www\./i, "")
+      .replace(/\/$/, "");
+  }
+
+  // ── Colors ─────────────────────────────────────────────────────────────────
+
+  function normalizeColor(value) {
+    return /^#[0-9a-f]{6}$/i.test(value || "") ? value.toLowerCase() : DEFAULT_ACCENT;
+  }
+
+  function toRgb(hex) {
+    return [1, 3, 5].map(function (i) {
+      return parseInt(hex.substr(i, 2), 16) / 255;
+    });
+  }
+
+  // Dark text on light accents, white on dark ones
+  function getContrastColor(hex) {
+    var rgb = toRgb(hex).map(function (c) {
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    var luminance = 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+    return luminance > 0.4 ? COLORS.text : COLORS.paper;
+  }
+
+  // ── Layout blocks ──────────────────────────────────────────────────────────
+  // A block has a height and draws itself into a column at a given top; stack()
+  // centers a list of blocks vertically in the space it is given. A flex block
+  // (the QR code) takes whatever height is left, within its min and max.
+
+  function spacer(height) {
+    return { height: height, draw: function () { return []; } };
+  }
+
+  function textBlock(text, options) {
+    return {
+      measure: function (width) {
+        var fitted = fitText(text, Object.assign({ maxWidth: width }, options));
+        this.fitted = fitted;
+        return fitted.lines.length * fitted.size * LINE_HEIGHT;
+      },
+      draw: function (x, top, width, align) {
+        var fitted = this.fitted;
+        var lineHeight = fitted.size * LINE_HEIGHT;
+        return fitted.lines.map(function (line, i) {
+          return {
+            type: "text",
+            text: line,
+            x: align === "center" ? x + width / 2 : x,
+            // Center the cap height (about 0.72 em) in each line box
+            y: top + i * lineHeight + lineHeight / 2 + fitted.size * 0.36,
+            size: fitted.size,
+            font: options.font,
+            color: options.color,
+            anchor: align === "center" ? "middle" : "start",
+          };
+        });
+      },
+    };
+  }
+
+  function starPoints(centerX, centerY, outerRadius) {
+    var innerRadius = outerRadius * 0.382;
+    var points = [];
+    for (var i = 0; i < 10; i++) {
+      var angle = -Math.PI / 2 + (i * Math.PI) / 5;
+      var radius = i % 2 === 0 ? outerRadius : innerRadius;
+      points.push([centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle)]);
+    }
+    return points;
+  }
+
+  function starsBlock(size) {
+    var gap = size * 0.2;
+    var rowWidth = size * 5 + gap * 4;
+
+    return {
+      height: size,
+      draw: function (x, top, width, align) {
+        var left = align === "center" ? x + (width - rowWidth) / 2 : x;
+        var items = [];
+        for (var i = 0; i < 5; i++) {
+          items.push({
+            type: "polygon",
+            points: starPoints(left + i * (size + gap) + size / 2, top + size * 0.52, size / 2),
+            fill: COLORS.star,
+          });
+        }
+        return items;
+      },
+    };
+  }
+
+  function logoBlock(logo, maxWidth, maxHeight) {
+    var scale = Math.min(maxWidth / logo.width, maxHeight / logo.height);
+    var w = logo.width * scale;
+    var h = logo.height * scale;
+
+    return {
+      height: h,
+      draw: function (x, top, width, align) {
+        return [{
+          type: "image",
+          logo: logo,
+          x: align === "center" ? x + (width - w) / 2 : x,
+          y: top,
+          w: w,
+          h: h,
+        }];
+      },
+    };
+  }
+
+  // Size includes the quiet zone, so neighbours can sit right up against it
+  function qrBlock(qr, minSize, maxSize) {
+    return {
+      flex: true,
+      min: minSize,
+      max: maxSize,
+      draw: function (x, top, width, align) {
+        var size = this.height;
+        return [{
+          type: "qr",
+          qr: qr,
+          x: align === "center" ? x + (width - size) / 2 : x,
+          y: top,
+          size: size,
+        }];
+      },
+    };
+  }
+
+  function stack(blocks, column) {
+    blocks = blocks.filter(Boolean);
+    var available = column.bottom - column.top;
+
+    blocks.forEach(function (block) {
+      if (block.measure) block.height = block.measure(column.width);
+    });
+    var fixed = blocks.reduce(function (sum, block) {
+      return sum + (block.flex ? 0 : block.height);
+    }, 0);
+    blocks.forEach(function (block) {
+      if (block.flex) {
+        block.height = Math.max(block.min, Math.min(block.max, available - fixed, column.width));
+      }
+    });
+
+    var total = blocks.reduce(function (sum, block) {
+      return sum + block.height;
+    }, 0);
+    var top = column.top + Math.max(0, (available - total) / 2);
+    var items = [];
+
+    blocks.forEach(function (block) {
+      items = items.concat(block.draw(column.x, top, column.width, column.align || "center"));
+      top += block.height;
+    });
+    return items;
+  }
+
+  // A full-width color band; edges touching the trim run out into the bleed
+  function band(y, height, layout, fill) {
+    var top = y <= 0 ? -BLEED : y;
+    var bottom = y + height >= layout.height ? layout.height + BLEED : y + height;
+    return {
+      type: "rect",
+      x: -BLEED,
+      y: top,
+      w: layout.width + BLEED * 2,
+      h: bottom - top,
+      fill: fill,
+    };
+  }
+
+  // ── Layouts ────────────────────────────────────────────────────────────────
+  // Each build() returns shapes in points, origin at the top-left trim corner.
+  // ctx: { name, displayLink, accent, onAccent, logo, qr }
+
+  function buildBusinessCard(ctx, layout) {
+    var pad = 14;
+    var bandHeight = 12;
+    var qrColumnWidth = 104;
+    var qrColumnX = layout.width - BLEED - qrColumnWidth;
+    var bottom = layout.height - bandHeight - 6;
+
+    return [band(layout.height - bandHeight, bandHeight, layout, ctx.accent)]
+      .concat(stack([
+        ctx.logo && logoBlock(ctx.logo, 112, 30),
+        ctx.logo && spacer(6),
+        textBlock(ctx.name, { font: "bold", size: 14, minSize: 8, maxLines: 2, color: COLORS.text }),
+        spacer(5),
+        starsBlock(11),
+        spacer(7),
+        textBlock("Leave us a Google review", { font: "bold", size: 8, minSize: 6.5, color: COLORS.text }),
+        spacer(2),
+        textBlock("Scan the code with your phone camera", {
+          font: "regular", size: 6.5, minSize: 5.5, maxLines: 2, color: COLORS.muted,
+        }),
+      ], { x: pad, width: qrColumnX - pad - 6, top: pad, bottom: bottom, align: "left" }))
+      // The QR code's quiet zone can run closer to the edge than text
+      .concat(stack([
+        qrBlock(ctx.qr, 80, 100),
+        ctx.displayLink && textBlock(ctx.displayLink, {
+          font: "regular", size: 6, minSize: 5, maxLines: 2, breakAnywhere: true, color: COLORS.muted,
+        }),
+      ], { x: qrColumnX, width: qrColumnWidth, top: pad - 6, bottom: bottom }));
+  }
+
+  function buildTableTent(ctx, layout) {
+    var bandHeight = 76;
+    var footerHeight = 18;
+
+    return [
+      band(0, bandHeight, layout, ctx.accent),
+      band(layout.height - footerHeight, footerHeight, layout, ctx.accent),
+    ]
+      .concat(stack([
+        textBlock("How did we do?", { font: "bold", size: 28, minSize: 16, color: ctx.onAccent }),
+      ], { x: 24, width: layout.width - 48, top: 0, bottom: bandHeight }))
+      .concat(stack([
+        ctx.logo && logoBlock(ctx.logo, 200, 44),
+        ctx.logo && spacer(10),
+        textBlock(ctx.name, { font: "bold", size: 20, minSize: 11, maxLines: 2, color: COLORS.text }),
+        spacer(8),
+        starsBlock(20),
+        spacer(4),
+        qrBlock(ctx.qr, 110, 180),
+        textBlock("Scan with your phone camera to leave us a review", {
+          font: "regular", size: 10, minSize: 8, maxLines: 2, color: COLORS.muted,
+        }),
+        ctx.displayLink && spacer(4),
+        ctx.displayLink && textBlock(ctx.displayLink, {
+          font: "regular", size: 8, minSize: 6, maxLines: 2, breakAnywhere: true, color: COLORS.muted,
+        }),
+      ], { x: 24, width: layout.width - 48, top: bandHeight + 12, bottom: layout.height - footerHeight - 12 }));
+  }
+
+  function buildDoorHanger(ctx, layout) {
+    var holeRadius = 54; // 1.5" hole
+    var holeCenterY = 90;
+    var bandTop = 168;
+    var bandHeight = 84;
+    var footerHeight = 48;
+
+    return [
+      {
+        type: "circle",
+        cx: layout.width / 2,
+        cy: holeCenterY,
+        r: holeRadius,
+        fill: COLORS.paper,
+        stroke: COLORS.dieLine,
+        strokeWidth: 0.75,
+        dash: [4, 3],
+      },
+      band(bandTop, bandHeight, layout, ctx.accent),
+      band(layout.height - footerHeight, footerHeight, layout, ctx.accent),
+    ]
+      .concat(stack([
+        textBlock("How did we do?", { font: "bold", size: 30, minSize: 18, color: ctx.onAccent }),
+        spacer(2),
+        textBlock("We'd love your feedback", { font: "regular", size: 13, minSize: 10, color: ctx.onAccent }),
+      ], { x: 24, width: layout.width - 48, top: bandTop, bottom: bandTop + bandHeight }))
+      .concat(stack([
+        ctx.logo && logoBlock(ctx.logo, 220, 64),
+        ctx.logo && spacer(14),
+        textBlock(ctx.name, { font: "bold", size: 24, minSize: 13, maxLines: 2, color: COLORS.text }),
+        spacer(10),
+        starsBlock(26),
+        spacer(8),
+        qrBlock(ctx.qr, 140, 230),
+        textBlock("Scan with your phone camera to leave us a Google review", {
+          font: "regular", size: 11, minSize: 9, maxLines: 2, color: COLORS.muted,
+        }),
+        ctx.displayLink && spacer(6),
+        ctx.displayLink && textBlock(ctx.displayLink, {
+          font: "regular", size: 9, minSize: 7, maxLines: 2, breakAnywhere: true, color: COLORS.muted,
+        }),
+      ], { x: 28, width: layout.width - 56, top: bandTop + bandHeight + 16, bottom: layout.height - footerHeight - 16 }))
+      .concat(stack([
+        textBlock("Thank you for your business!", { font: "bold", size: 13, minSize: 9, color: ctx.onAccent }),
+      ], { x: 24, width: layout.width - 48, top: layout.height - footerHeight, bottom: layout.height }));
+  }
+
+  function buildInvoiceSticker(ctx, layout) {
+    var footerHeight = 26;
+
+    return [band(layout.height - footerHeight, footerHeight, layout, ctx.accent)]
+      .concat(stack([
+        ctx.logo && logoBlock(ctx.logo, 100, 18),
+        ctx.logo && spacer(4),
+        textBlock(ctx.name, { font: "bold", size: 10, minSize: 7, color: COLORS.text }),
+        spacer(3),
+        starsBlock(10),
+        qrBlock(ctx.qr, 60, 104),
+        ctx.displayLink && textBlock(ctx.displayLink, {
+          font: "regular", size: 6, minSize: 5, maxLines: 2, breakAnywhere: true, color: COLORS.muted,
+        }),
+      ], { x: 12, width: layout.width - 24, top: 8, bottom: layout.height - footerHeight - 4 }))
+      .concat(stack([
+        textBlock("Review us on Google", { font: "bold", size: 10, minSize: 8, color: ctx.onAccent }),
+      ], { x: 12, width: layout.width - 24, top: layout.height - footerHeight, bottom: layout.height }));
+  }
+
+  // Trim sizes in inches
+  var LAYOUTS = [
+    { id: "business-card", name: "Business card", width: 3.5, height: 2, build: buildBusinessCard },
+    { id: "table-tent", name: "Table tent", width: 4, height: 6, build: buildTableTent },
+    { id: "door-hanger", name: "Door hanger", width: 4.25, height: 11, build: buildDoorHanger },
+    { id: "invoice-sticker", name: "Invoice sticker", width: 2.5, height: 2.5, build: buildInvoiceSticker },
+  ];
+
+  function getLayout(id) {
+    for (var i = 0; i < LAYOUTS.length; i++) {
+      if (LAYOUTS[i].id === id) return LAYOUTS[i];
+    }
+    throw new RangeError("ReviewPrintTemplates: unknown layout " + id);
+  }
+
+  function buildScene(layoutId, data) {
+    var layout = getLayout(layoutId);
+    var trim = { width: layout.width * 72, height: layout.height * 72 };
+    var accent = normalizeColor(data.accent);
+
+    var items = layout.build({
+      name: String(data.name || "").trim() || "Your Business",
+      displayLink: String(data.displayLink || "").trim(),
+      accent: accent,
+      onAccent: getContrastColor(accent),
+      logo: data.logo || null,
+      qr: window.QREncoder.encode(data.link, { ecc: data.ecc || "M" }),
+    }, trim);
+
+    return {
+      layout: layout,
+      trimWidth: trim.width,
+      trimHeight: trim.height,
+      width: trim.width + BLEED * 2,
+      height: trim.height + BLEED * 2,
+      items: items,
+    };
+  }
+
+  // ── SVG ────────────────────────────────────────────────────────────────────
+
+  function escapeXml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function num(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+
+  function svgItem(item) {
+    switch (item.type) {
+      case "rect":
+        return '<rect x="' + num(item.x) + '" y="' + num(item.y) + '" width="' + num(item.w) +
+          '" height="' + num(item.h) + '" fill="' + item.fill + '"/>';
+      case "circle":
+        return '<circle cx="' + num(item.cx) + '" cy="' + num(item.cy) + '" r="' + num(item.r) +
+          '" fill="' + item.fill + '" stroke="' + item.stroke + '" stroke-width="' + num(item.strokeWidth) +
+          '" stroke-dasharray="' + item.dash.join(" ") + '"/>';
+      case "polygon":
+        return '<polygon fill="' + item.fill + '" points="' + item.points.map(function (p) {
+          return num(p[0]) + "," + num(p[1]);
+        }).join(" ") + '"/>';
+      case "text":
+        return '<text x="' + num(item.x) + '" y="' + num(item.y) + '" font-family="' + FONT_FAMILY +
+          '" font-size="' + num(item.size) + '"' + (item.font === "bold" ? ' font-weight="bold"' : "") +
+          ' text-anchor="' + item.anchor + '" fill="' + item.color + '">' + escapeXml(item.text) + "</text>";
+      case "image":
+        return '<image x="' + num(item.x) + '" y="' + num(item.y) + '" width="' + num(item.w) +
+          '" height="' + num(item.h) + '" preserveAspectRatio="xMidYMid meet" href="' +
+          escapeXml(item.logo.dataUrl) + '" xlink:href="' + escapeXml(item.logo.dataUrl) + '"/>';
+      case "qr":
+        var scale = item.size / (item.qr.size + QR_QUIET_ZONE * 2);
+        return '<path transform="translate(' + num(item.x) + " " + num(item.y) + ") scale(" + num(scale) +
+          ')" shape-rendering="crispEdges" fill="' + COLORS.text + '" d="' +
+          window.QREncoder.toPathData(item.qr, QR_QUIET_ZONE) + '"/>';
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * SVG document for a layout, sized in inches including the bleed.
+   * options.guides  Draw the trim line (for on-screen previews, not for print)
+   */
+  function toSVG(layoutId, data, options) {
+    options = options || {};
+    var scene = buildScene(layoutId, data);
+
+    return (
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+      ' width="' + num(scene.width / 72) + 'in" height="' + num(scene.height / 72) + 'in"' +
+      ' viewBox="0 0 ' + num(scene.width) + " " + num(scene.height) + '">' +
+      "<title>" + escapeXml(scene.layout.name + " for " + (data.name || "your business")) + "</title>" +
+      '<rect width="' + num(scene.width) + '" height="' + num(scene.height) + '" fill="' + COLORS.paper + '"/>' +
+      '<g transform="translate(' + BLEED + " " + BLEED + ')">' +
+      scene.items.map(svgItem).join("") +
+      (options.guides
+        ? '<rect width="' + num(scene.trimWidth) + '" height="' + num(scene.trimHeight) +
+          '" fill="none" stroke="' + COLORS.guide + '" stroke-width="0.75" stroke-dasharray="4 3"/>'
+        : "") +
+      "</g></svg>"
+    );
+  }
+
+  // ── PDF ────────────────────────────────────────────────────────────────────
+  // A single-page PDF 1.4 written by hand. Strings are "binary strings" (one
+  // char per byte) until the final Uint8Array.
+
+  function toPdfString(text) {
+    text = text.replace(/[\ud800-\udbff][\udc00-\udfff]/g, "?");
+    var out = "";
+    for (var i = 0; i < text.length; i++) {
+      var ch = text.charAt(i);
+      var code = text.charCodeAt(i);
+      if (WIN_ANSI_EXTRAS[ch]) code = WIN_ANSI_EXTRAS[ch];
+      else if (code < 32 || (code > 126 && code < 160) || code > 255) code = 63; // "?"
+      var byte = String.fromCharCode(code);
+      out += byte === "(" || byte === ")" || byte === "\\" ? "\\" + byte : byte;
+    }
+    return "(" + out + ")";
+  }
+
+  function pdfColor(hex, operator) {
+    return toRgb(hex).map(num).join(" ") + " " + operator;
+  }
+
+  // Content stream operators for one shape; y flips because PDF's origin is
+  // the bottom-left corner
+  function pdfItem(item, pageHeight) {
+    var x = function (value) {
+      return num(value + BLEED);
+    };
+    var y = function (value) {
+      return num(pageHeight - BLEED - value);
+    };
+
+    switch (item.type) {
+      case "rect":
+        return pdfColor(item.fill, "rg") + "\n" + x(item.x) + " " + y(item.y + item.h) + " " +
+          num(item.w) + " " + num(item.h) + " re f";
+      case "circle":
+        // Four Bezier quarter arcs
+        var k = 0.5523 * item.r;
+        var cx = item.cx;
+        var cy = item.cy;
+        var r = item.r;
+        var point = function (px, py) {
+          return x(px) + " " + y(py);
+        };
+        return [
+          pdfColor(item.fill, "rg"),
+          pdfColor(item.stroke, "RG"),
+          num(item.strokeWidth) + " w [" + item.dash.join(" ") + "] 0 d",
+          point(cx + r, cy) + " m",
+          point(cx + r, cy + k) + " " + point(cx + k, cy + r) + " " + point(cx, cy + r) + " c",
+          point(cx - k, cy + r) + " " + point(cx - r, cy + k) + " " + point(cx - r, cy) + " c",
+          point(cx - r, cy - k) + " " + point(cx - k, cy - r) + " " + point(cx, cy - r) + " c",
+          point(cx + k, cy - r) + " " + point(cx + r, cy - k) + " " + point(cx + r, cy) + " c",
+          "b [] 0 d",
+        ].join("\n");
+      case "polygon":
+        return pdfColor(item.fill, "rg") + "\n" + item.points.map(function (p, i) {
+          return x(p[0]) + " " + y(p[1]) + (i === 0 ? " m" : " l");
+        }).join("\n") + "\nh f";
+      case "text":
+        var width = measureText(item.text, item.font, item.size);
+        var left = item.anchor === "middle" ? item.x - width / 2 : item.x;
+        return pdfColor(item.color, "rg") + "\nBT /" + PDF_FONTS[item.font] + " " + num(item.size) +
+          " Tf " + x(left) + " " + y(item.y) + " Td " + toPdfString(item.text) + " Tj ET";
+      case "image":
+        return "q " + num(item.w) + " 0 0 " + num(item.h) + " " + x(item.x) + " " + y(item.y + item.h) +
+          " cm /Im1 Do Q";
+      case "qr":
+        var qr = item.qr;
+        var module = item.size / (qr.size + QR_QUIET_ZONE * 2);
+        var runs = [pdfColor(COLORS.text, "rg")];
+        for (var row = 0; row < qr.size; row++) {
+          for (var col = 0; col < qr.size; col++) {
+            if (!qr.modules[row][col]) continue;
+            var run = 1;
+            while (col + run < qr.size && qr.modules[row][col + run]) run++;
+            var top = item.y + (row + QR_QUIET_ZONE) * module;
+            runs.push(
+              x(item.x + (col + QR_QUIET_ZONE) * module) + " " + y(top + module) + " " +
+              num(run * module) + " " + num(module) + " re",
+            );
+            col += run - 1;
+          }
+        }
+        return runs.join("\n") + "\nf";
+      default:
+        return "";
+    }
+  }
+
+  function writePdf(scene, content, logo) {
+    var w = num(scene.width);
+    var h = num(scene.height);
+    var resources = "/Font << /F1 5 0 R /F2 6 0 R >>" + (logo ? " /XObject << /Im1 7 0 R >>" : "");
+    var objects = [
+      "<< /Type /Catalog /Pages 2 0 R >>",
+      "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+      "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + w + " " + h + "] /BleedBox [0 0 " + w + " " + h +
+        "] /TrimBox [" + BLEED + " " + BLEED + " " + num(scene.width - BLEED) + " " +
+        num(scene.height - BLEED) + "] /Resources << " + resources + " >> /Contents 4 0 R >>",
+      "<< /Length " + content.length + " >>\nstream\n" + content + "\nendstream",
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    ];
+    if (logo) {
+      objects.push(
+        "<< /Type /XObject /Subtype /Image /Width " + logo.width + " /Height " + logo.height +
+        " /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length " + logo.jpeg.length +
+        " >>\nstream\n" + logo.jpeg + "\nendstream",
+      );
+    }
+
+    var pdf = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+    var offsets = objects.map(function (body, i) {
+      var offset = pdf.length;
+      pdf += i + 1 + " 0 obj\n" + body + "\nendobj\n";
+      return offset;
+    });
+
+    var xrefOffset = pdf.length;
+    pdf += "xref\n0 " + (objects.length + 1) + "\n0000000000 65535 f \n";
+    offsets.forEach(function (offset) {
+      pdf += ("000000000" + offset).slice(-10) + " 00000 n \n";
+    });
+    pdf += "trailer\n<< /Size " + (objects.length + 1) + " /Root 1 0 R >>\nstartxref\n" + xrefOffset + "\n%%EOF\n";
+
+    var bytes = new Uint8Array(pdf.length);
+    for (var i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i) & 0xff;
+    return bytes;
+  }
+
+  // PDF for a layout as a Blob; the page is the bleed box, with the TrimBox set
+  function toPDF(layoutId, data) {
+    var scene = buildScene(layoutId, data);
+    var content = scene.items.map(function (item) {
+      return pdfItem(item, scene.height);
+    }).join("\n");
+
+    var bytes = writePdf(scene, content, data.logo);
+    return new Blob([bytes], { type: "application/pdf" });
+  }
+
+  // ── Logo ───────────────────────────────────────────────────────────────────
+
+  /**
+   * Read an uploaded image into what the layouts need: the original data URL
+   * (for SVG and previews, transparency intact) and a JPEG flattened onto white
+   * (for PDF). Rejects with a user-facing message.
+   */
+  function loadLogo(file) {
+    return new Promise(function (resolve, reject) {
+      if (!file || !/^image\//.test(file.type)) {
+        reject(new Error("Please choose a PNG, JPG or SVG image for your logo."));
+        return;
+      }
+      if (file.size > MAX_LOGO_BYTES) {
+        reject(new Error("Please choose a logo under 5 MB."));
+        return;
+      }
+
+      var reader = new FileReader();
+      reader.onerror = function () {
+        reject(new Error("That logo couldn't be read. Please try another file."));
+      };
+      reader.onload = function () {
+        var image = new Image();
+        image.onerror = reader.onerror;
+        image.onload = function () {
+          // SVGs without width/height report no natural size
+          var naturalWidth = image.naturalWidth || 600;
+          var naturalHeight = image.naturalHeight || 600;
+          var scale = Math.min(1, MAX_LOGO_PIXELS / Math.max(naturalWidth, naturalHeight));
+          var canvas = document.createElement("canvas");
+          canvas.width = Math.max(1, Math.round(naturalWidth * scale));
+          canvas.height = Math.max(1, Math.round(naturalHeight * scale));
+
+          var context = canvas.getContext("2d");
+          if (!context) {
+            reader.onerror();
+            return;
+          }
+          context.fillStyle = COLORS.paper;
+          context.fillRect(0, 0, canvas.width, canvas.height);
+          context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+          resolve({
+            dataUrl: reader.result,
+            jpeg: atob(canvas.toDataURL("image/jpeg", 0.92).split(",")[1]),
+            width: canvas.width,
+            height: canvas.height,
+          });
+        };
+        image.src = reader.result;
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  window.ReviewPrintTemplates = {
+    LAYOUTS: LAYOUTS.map(function (layout) {
+      return { id: layout.id, name: layout.name, width: layout.width, height: layout.height };
+    }),
+    BLEED_INCHES: BLEED / 72,
+    toSVG: toSVG,
+    toPDF: toPDF,
+    loadLogo: loadLogo,
+    getDisplayLink: getDisplayLink,
+  };
+})();
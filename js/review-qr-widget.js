@@ -1,69 +1,202 @@
 /**
- * Google Review Link Widget - Vanilla JavaScript
- * Generates a direct Google Review link from a Google Maps URL.
- * No API keys required — 100% client-side.
+ * Google Review Toolkit Widget - Vanilla JavaScript
+ * Generates a direct Google Review link and a printable QR code from a Google
+ * Maps URL, a pasted review link or a bare Place ID. Any number of widgets can
+ * share a page. No API keys required. Address bar URLs are parsed client-side
+ * by js/google-url-parser.js (window.GoogleUrlParser, which lists every form
+ * understood); Share button links (maps.app.goo.gl) are expanded by the
+ * /api/maps/resolve Pages Function.
+ * QR codes are drawn by js/qr-encoder.js (window.QREncoder): inline SVG on the
+ * page, SVG or high-resolution PNG downloads. Both scripts load before this one.
+ * When js/review-print-templates.js is loaded too, the results offer print-ready
+ * cards, table tents, door hangers and stickers as PDF or SVG.
+ *
+ * Options (data attributes on [data-review-qr-widget]):
+ *   data-title      Widget heading
+ *   data-qr         "false" to generate the link only, without a QR code
+ *   data-qr-size    QR code width/height on the page in pixels (default 220)
+ *   data-qr-ecc     QR error correction level: L, M (default), Q or H
+ *   data-print      "false" to leave out the print templates
+ *   data-datalayer  Push lifecycle events to window.dataLayer for Google Tag Manager;
+ *                   a value replaces the default "review_qr_widget" event name prefix
+ *
+ * Lifecycle events (analyze:start, analyze:success, analyze:error,
+ * link:generated, link:copied, qr:downloaded) go to ReviewQRWidget.on(event, fn)
+ * listeners and are dispatched on the container as "review-qr-widget:<event>"
+ * CustomEvents. The analyze:* events cover finding the listing in the pasted
+ * URL (expanding share links included); analyze:error means no listing was
+ * found and the link falls back to a Maps search. qr:downloaded carries the
+ * format (png, svg or pdf) and, for print templates, the template's layout ID.
  */
 (function () {
   "use strict";
 
   const CONFIG = {
     containerSelector: "[data-review-qr-widget]",
+    resolveEndpoint: "/api/maps/resolve", // Cloudflare Pages Function endpoint
+    resolveTimeoutMs: 8000,
+    qrSize: 220,
+    minQrSize: 120,
+    maxQrSize: 1024,
+    qrEcc: "M",
+    qrDownloadSize: 1024, // PNG width/height in pixels, enough for print
   };
 
+  // Same event names as LighthouseWidget.on(), so one tracking script fits
+  // both, plus qr:downloaded
+  const WIDGET_EVENTS = [
+    "analyze:start",
+    "analyze:success",
+    "analyze:error",
+    "link:generated",
+    "link:copied",
+    "qr:downloaded",
+  ];
+  const eventListeners = {};
+
   function generateId() {
     return "review-qr-" + Math.random().toString(36).substr(2, 9);
   }
 
-  /**
-   * Try to extract a Place ID from a Google Maps address bar URL.
-   *
-   * Google Maps long-form URLs embed the Place ID in the data segment after "!1s":
-   *   https://www.google.com/maps/place/Name/@lat,lng/data=!...!1sChIJxxxxxxxx!...
-   *
-   * Returns the Place ID string (e.g. "ChIJxxxxxxxx") or null when not found.
-   * Note: short goo.gl share links cannot be resolved client-side, so they return null.
-   */
-  function parsePlaceId(mapsUrl) {
-    if (!mapsUrl || typeof mapsUrl !== "string") return null;
+  // ── Google URL parsing ───────────────────────────────────────────────────────
+  //
+  // js/google-url-parser.js (window.GoogleUrlParser) finds the listing a URL
+  // points at and builds review links; see it for every form understood.
 
-    // Pattern: !1s followed by a Place ID that starts with ChIJ
-    const match = mapsUrl.match(/[!|]1s(ChIJ[^!|&?]+)/);
-    if (match && match[1]) {
-      return decodeURIComponent(match[1]);
-    }
+  function parseGoogleUrl(input) {
+    return window.GoogleUrlParser.parse(input);
+  }
+
+  function buildReviewUrl(match, businessName, city) {
+    return window.GoogleUrlParser.buildReviewUrl(match, businessName, city);
+  }
 
-    return null;
+  function isShareLink(url) {
+    return window.GoogleUrlParser.isShareLink(url);
   }
 
   /**
-   * Build the review URL.
-   * - With Place ID: direct write-review endpoint (opens the review form immediately)
-   * - Without Place ID: Google Maps search (customer can tap "Write a review" from the listing)
+   * Ask the resolver function to follow a share link's redirects.
+   * Resolves to the parseGoogleUrl match for the expanded URL, or null when the
+   * link can't be expanded, has no ID, or the function is unavailable, so
+   * callers fall back to a search link.
    */
-  function buildReviewUrl(placeId, businessName, city) {
-    if (placeId) {
-      return (
-        "https://search.google.com/local/writereview?placeid=" +
-        encodeURIComponent(placeId)
-      );
+  function resolveShareLink(url) {
+    var controller = new AbortController();
+    var timer = setTimeout(function () {
+      controller.abort();
+    }, CONFIG.resolveTimeoutMs);
+
+    return fetch(CONFIG.resolveEndpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ url: url }),
+      signal: controller.signal,
+    })
+      .then(function (response) {
+        return response.ok ? response.json() : null;
+      })
+      .then(function (data) {
+        if (!data) return null;
+        return parseGoogleUrl(data.expandedUrl) || parseGoogleUrl(data.placeId);
+      })
+      .catch(function (err) {
+        console.warn("Share link could not be resolved:", err);
+        return null;
+      })
+      .finally(function () {
+        clearTimeout(timer);
+      });
+  }
+
+  // analyze:error messages, keyed by code
+  var ANALYZE_ERRORS = {
+    url_missing: "No Google Maps URL was given",
+    listing_not_found: "No Google listing ID was found in the URL",
+    share_link_unresolved: "The share link could not be expanded to a listing",
+  };
+
+  // Static copy for the results notice, keyed by match type ("none" = no ID found)
+  var FALLBACK_NOTICES = {
+    cid:
+      "<strong>Heads up:</strong> This link opens your Google Maps listing. Customers tap " +
+      "<strong>\"Write a review\"</strong> from there. For a link that opens the review form " +
+      "directly, paste the full address bar URL from Google Maps.",
+    none:
+      "<strong>Heads up:</strong> We couldn't find your exact listing in that URL, so this link opens a " +
+      "Google Maps search for your business. Customers can tap <strong>\"Write a review\"</strong> from there. " +
+      "For a more direct link, paste the full address bar URL from Google Maps.",
+  };
+
+
+  // ── Events ───────────────────────────────────────────────────────────────────
+
+  // Subscribe to a lifecycle event; returns a function that unsubscribes
+  function on(eventName, handler) {
+    if (WIDGET_EVENTS.indexOf(eventName) === -1) {
+      throw new Error("Unknown ReviewQRWidget event: " + eventName);
+    }
+    if (typeof handler !== "function") {
+      throw new TypeError("ReviewQRWidget.on() needs a handler function");
     }
 
-    // Fallback: Maps search URL
-    const query = [businessName, city].filter(Boolean).join(" ");
-    return (
-      "https://www.google.com/maps/search/?api=1&query=" +
-      encodeURIComponent(query)
+    (eventListeners[eventName] = eventListeners[eventName] || []).push(handler);
+    return function () {
+      off(eventName, handler);
+    };
+  }
+
+  function off(eventName, handler) {
+    eventListeners[eventName] = (eventListeners[eventName] || []).filter(
+      function (listener) {
+        return listener !== handler;
+      },
+    );
+  }
+
+  function getDataLayerPrefix(container) {
+    var value = container.dataset.datalayer;
+    if (value === undefined || value === "false") return null;
+    return value.trim() || "review_qr_widget";
+  }
+
+  // Notify on() listeners, DOM listeners and (when enabled) the dataLayer.
+  // Analytics must never break the widget, so listener errors are only logged.
+  function emitWidgetEvent(container, eventName, detail) {
+    var eventDetail = Object.assign({}, detail, { widget: container });
+
+    (eventListeners[eventName] || []).forEach(function (handler) {
+      try {
+        handler(eventDetail);
+      } catch (err) {
+        console.error("ReviewQRWidget " + eventName + " listener failed:", err);
+      }
+    });
+
+    container.dispatchEvent(
+      new CustomEvent("review-qr-widget:" + eventName, {
+        detail: eventDetail,
+        bubbles: true,
+      }),
     );
+
+    var prefix = getDataLayerPrefix(container);
+    if (prefix) {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push(
+        Object.assign({ event: prefix + "_" + eventName.replace(":", "_") }, detail),
+      );
+    }
   }
 
-  function createWidgetHTML(title) {
+  function createWidgetHTML(title, options) {
     const id = generateId();
 
     return `
       <div class="review-qr-widget" id="${id}">
         <h2 class="review-qr-widget__title">${title}</h2>
         <p class="review-qr-widget__subtitle">
-          Generate a direct Google review link for your business — no tech skills needed.
+          Generate a direct Google review link${options.qr ? " and a printable QR code" : ""} for your business — no tech skills needed.
         </p>
 
         <form class="review-qr-widget__form">
@@ -93,7 +226,7 @@
 
           <div class="review-qr-widget__input-group">
             <label class="review-qr-widget__label" for="${id}-url">
-              Google Maps URL <span style="font-weight:400;color:#6b7280;">(optional but recommended)</span>
+              Google Maps URL, Place ID or review link <span style="font-weight:400;color:#6b7280;">(optional but recommended)</span>
             </label>
             <input
               type="text"
@@ -107,9 +240,13 @@
                 <li>Open <strong>google.com</strong> and search your business name</li>
                 <li>Click your listing in the results</li>
                 <li>Click <strong>"View on Google Maps"</strong></li>
-                <li>Copy the full URL from your <strong>browser address bar</strong> (not the Share button)</li>
+                <li>Copy the full URL from your <strong>browser address bar</strong>, or use the <strong>Share</strong> button's link</li>
                 <li>Paste it in the field above</li>
               </ol>
+              <p class="review-qr-widget__instructions-note">
+                Already have a review link? Right-click <strong>"Write a review"</strong> in your
+                Google Knowledge Panel, choose <strong>Copy link address</strong> and paste that instead.
+              </p>
               <button type="button" class="review-qr-widget__find-btn" data-find-btn>
                 🔍 Search my business on Maps
               </button>
@@ -125,11 +262,7 @@
         <div class="review-qr-widget__results" style="display:none;">
           <h3 class="review-qr-widget__results-title">Your Review Link</h3>
 
-          <div class="review-qr-widget__fallback-notice" style="display:none;">
-            <strong>Heads up:</strong> We couldn't find your exact listing in that URL, so this link opens a
-            Google Maps search for your business. Customers can tap <strong>"Write a review"</strong> from there.
-            For a more direct link, paste the full address bar URL from Google Maps.
-          </div>
+          <div class="review-qr-widget__fallback-notice" style="display:none;"></div>
 
           <div class="review-qr-widget__link-section">
             <p class="review-qr-widget__link-label">Your Review Link</p>
@@ -138,7 +271,19 @@
               <button type="button" class="review-qr-widget__copy-btn">Copy</button>
             </div>
           </div>
-
+${options.qr ? `
+          <div class="review-qr-widget__qr-section">
+            <p class="review-qr-widget__link-label">QR Code</p>
+            <div class="review-qr-widget__qr-container">
+              <div class="review-qr-widget__qr-code" role="img" aria-label="QR code for your review link"></div>
+            </div>
+            <div class="review-qr-widget__download-actions">
+              <button type="button" class="review-qr-widget__download-btn" data-qr-format="png">&#8595; Download PNG</button>
+              <button type="button" class="review-qr-widget__download-btn review-qr-widget__download-btn--secondary" data-qr-format="svg">&#8595; Download SVG</button>
+            </div>
+${options.print ? createPrintSectionHTML(id, options.print) : ""}
+          </div>
+` : ""}
           <button type="button" class="review-qr-widget__reset-btn">&#8592; Start Over</button>
         </div>
 
@@ -146,6 +291,62 @@
     `;
   }
 
+  function createPrintSectionHTML(id, layouts) {
+    var layoutOptions = layouts
+      .map(function (layout) {
+        return `<option value="${layout.id}">${layout.name} (${layout.width} &times; ${layout.height} in)</option>`;
+      })
+      .join("");
+
+    return `
+            <div class="review-qr-widget__print-section">
+              <p class="review-qr-widget__link-label">Print Templates</p>
+              <p class="review-qr-widget__print-intro">
+                Something to hand customers or leave behind. Files include a 1/8" bleed, ready for any print shop.
+              </p>
+              <div class="review-qr-widget__print-controls">
+                <div class="review-qr-widget__input-group">
+                  <label class="review-qr-widget__label" for="${id}-print-layout">Layout</label>
+                  <select id="${id}-print-layout" class="review-qr-widget__input review-qr-widget__print-layout">${layoutOptions}</select>
+                </div>
+                <div class="review-qr-widget__input-group">
+                  <label class="review-qr-widget__label" for="${id}-print-logo">Logo <span style="font-weight:400;color:#6b7280;">(optional)</span></label>
+                  <input
+                    type="file"
+                    id="${id}-print-logo"
+                    class="review-qr-widget__input review-qr-widget__print-logo"
+                    accept="image/png,image/jpeg,image/svg+xml,image/webp"
+                  >
+                </div>
+                <div class="review-qr-widget__input-group">
+                  <label class="review-qr-widget__label" for="${id}-print-link">Link Printed Under the QR Code</label>
+                  <input
+                    type="text"
+                    id="${id}-print-link"
+                    class="review-qr-widget__input review-qr-widget__print-link"
+                    placeholder="Leave empty to print the QR code only"
+                  >
+                </div>
+                <div class="review-qr-widget__input-group">
+                  <label class="review-qr-widget__label" for="${id}-print-accent">Brand Color</label>
+                  <input
+                    type="color"
+                    id="${id}-print-accent"
+                    class="review-qr-widget__print-accent"
+                    value="#000000"
+                  >
+                </div>
+              </div>
+              <p class="review-qr-widget__print-error" role="alert" style="display:none;"></p>
+              <div class="review-qr-widget__print-preview" aria-label="Print preview"></div>
+              <div class="review-qr-widget__download-actions">
+                <button type="button" class="review-qr-widget__download-btn" data-print-format="pdf">&#8595; Download PDF</button>
+                <button type="button" class="review-qr-widget__download-btn review-qr-widget__download-btn--secondary" data-print-format="svg">&#8595; Download SVG</button>
+              </div>
+            </div>
+`;
+  }
+
   function setupHandlers(container) {
     var form = container.querySelector(".review-qr-widget__form");
     var nameInput = container.querySelector(".review-qr-widget__input--name");
@@ -159,8 +360,16 @@
     var linkText = container.querySelector(".review-qr-widget__link-text");
     var copyBtn = container.querySelector(".review-qr-widget__copy-btn");
     var resetBtn = container.querySelector(".review-qr-widget__reset-btn");
+    var submitBtn = container.querySelector(".review-qr-widget__submit-btn");
+    var submitLabel = submitBtn.textContent;
+    var qrSection = container.querySelector(".review-qr-widget__qr-section");
+    var qrCode = container.querySelector(".review-qr-widget__qr-code");
+    var downloadBtns = container.querySelectorAll("[data-qr-format]");
+    var printSection = container.querySelector(".review-qr-widget__print-section");
+    var printTemplates = printSection ? setupPrintTemplates(container, printSection) : null;
 
     var currentReviewUrl = "";
+    var currentQr = null;
 
     // ── "Find my business" helper ──────────────────────────────────────────────
     findBtn.addEventListener("click", function () {
@@ -192,51 +401,314 @@
         return;
       }
 
-      var placeId = parsePlaceId(mapsUrl);
-      var reviewUrl = buildReviewUrl(placeId, businessName, city);
+      var shareLink = isShareLink(mapsUrl);
+      emitWidgetEvent(container, "analyze:start", { url: mapsUrl, shareLink: shareLink });
+
+      var match = parseGoogleUrl(mapsUrl);
+      if (match || !shareLink) {
+        finishAnalysis(match, mapsUrl, false);
+        showResult(match, businessName, city);
+        return;
+      }
+
+      submitBtn.disabled = true;
+      submitBtn.textContent = "Looking up your listing...";
+      resolveShareLink(mapsUrl).then(function (resolvedMatch) {
+        submitBtn.disabled = false;
+        submitBtn.textContent = submitLabel;
+        finishAnalysis(resolvedMatch, mapsUrl, true);
+        showResult(resolvedMatch, businessName, city);
+      });
+    });
+
+    // analyze:success with the listing found, or analyze:error before the
+    // link falls back to a Maps search
+    function finishAnalysis(match, mapsUrl, shareLink) {
+      if (match) {
+        emitWidgetEvent(container, "analyze:success", {
+          url: mapsUrl,
+          shareLink: shareLink,
+          idType: match.type,
+          id: match.id,
+          detectedForm: match.form,
+        });
+        return;
+      }
+
+      var code = shareLink ? "share_link_unresolved" : mapsUrl ? "listing_not_found" : "url_missing";
+      emitWidgetEvent(container, "analyze:error", {
+        url: mapsUrl,
+        shareLink: shareLink,
+        code: code,
+        message: ANALYZE_ERRORS[code],
+      });
+    }
+
+    function showResult(match, businessName, city) {
+      var reviewUrl = buildReviewUrl(match, businessName, city);
+      var idType = match ? match.type : null;
       currentReviewUrl = reviewUrl;
 
-      // Show or hide fallback notice depending on whether we got a Place ID
-      fallbackNotice.style.display = placeId ? "none" : "block";
+      // Place IDs and feature IDs open the review form; anything else needs a tap
+      var notice = FALLBACK_NOTICES[idType || "none"];
+      fallbackNotice.innerHTML = notice || "";
+      fallbackNotice.style.display = notice ? "block" : "none";
 
       // Populate the link text — textContent prevents XSS
       linkText.textContent = reviewUrl;
 
+      if (qrSection) {
+        currentQr = renderQrCode(qrCode, reviewUrl, {
+          size: getQrSize(container),
+          ecc: getQrEcc(container),
+        });
+        qrSection.style.display = currentQr ? "block" : "none";
+      }
+      if (printTemplates) printTemplates.show(currentQr ? reviewUrl : "", businessName);
+
+      emitWidgetEvent(container, "link:generated", {
+        link: reviewUrl,
+        type: "review",
+        hasPlaceId: idType === "place_id",
+        idType: idType,
+        detectedForm: match ? match.form : null,
+      });
+
       // Swap form for results
       form.style.display = "none";
       resultsSection.style.display = "block";
       resultsSection.scrollIntoView({ behavior: "smooth", block: "nearest" });
-    });
+    }
 
     // ── Copy link ──────────────────────────────────────────────────────────────
     copyBtn.addEventListener("click", function () {
       if (!currentReviewUrl) return;
 
+      var copiedUrl = currentReviewUrl;
+      var onCopied = function () {
+        emitWidgetEvent(container, "link:copied", {
+          link: copiedUrl,
+          type: "review",
+        });
+      };
+
       if (navigator.clipboard && navigator.clipboard.writeText) {
         navigator.clipboard
-          .writeText(currentReviewUrl)
+          .writeText(copiedUrl)
           .then(function () {
             showCopied(copyBtn);
+            onCopied();
           })
           .catch(function () {
-            fallbackCopy(currentReviewUrl, copyBtn);
+            fallbackCopy(copiedUrl, copyBtn, onCopied);
           });
       } else {
-        fallbackCopy(currentReviewUrl, copyBtn);
+        fallbackCopy(copiedUrl, copyBtn, onCopied);
       }
     });
 
+    // ── Download QR ────────────────────────────────────────────────────────────
+    downloadBtns.forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        if (!currentReviewUrl || !currentQr) return;
+
+        var format = btn.dataset.qrFormat;
+        var fileName = slugify(nameInput.value) + "-google-review-qr." + format;
+        downloadQrCode(currentQr, format, fileName);
+        emitWidgetEvent(container, "qr:downloaded", {
+          link: currentReviewUrl,
+          format: format,
+        });
+      });
+    });
+
     // ── Start Over ─────────────────────────────────────────────────────────────
     resetBtn.addEventListener("click", function () {
       form.reset();
       form.style.display = "flex";
       resultsSection.style.display = "none";
       currentReviewUrl = "";
+      currentQr = null;
+      if (qrCode) qrCode.innerHTML = "";
+      if (printTemplates) printTemplates.reset();
       copyBtn.textContent = "Copy";
       copyBtn.classList.remove("review-qr-widget__copy-btn--copied");
     });
   }
 
+  // ── QR code ──────────────────────────────────────────────────────────────────
+
+  function getQrSize(container) {
+    var size = parseInt(container.dataset.qrSize, 10);
+    if (!isFinite(size)) return CONFIG.qrSize;
+    return Math.min(CONFIG.maxQrSize, Math.max(CONFIG.minQrSize, size));
+  }
+
+  function getQrEcc(container) {
+    var ecc = (container.dataset.qrEcc || "").toUpperCase();
+    return ["L", "M", "Q", "H"].indexOf(ecc) !== -1 ? ecc : CONFIG.qrEcc;
+  }
+
+  // Returns the encoded QR code, or null when qr-encoder.js isn't on the page
+  // (or the link is too long to encode) so the QR section can hide
+  function renderQrCode(target, text, options) {
+    target.innerHTML = "";
+    if (!window.QREncoder) {
+      console.warn("ReviewQRWidget: qr-encoder.js is not loaded, skipping the QR code");
+      return null;
+    }
+
+    var qr;
+    try {
+      qr = window.QREncoder.encode(text, { ecc: options.ecc });
+    } catch (err) {
+      console.warn("ReviewQRWidget: could not encode the QR code:", err);
+      return null;
+    }
+
+    target.innerHTML = window.QREncoder.toSVG(qr, { size: options.size, margin: 0 });
+    return qr;
+  }
+
+  // PNG at print resolution, or the SVG itself for signs and print shops
+  function downloadQrCode(qr, format, fileName) {
+    var href =
+      format === "svg"
+        ? "data:image/svg+xml;charset=utf-8," +
+          encodeURIComponent(window.QREncoder.toSVG(qr, { size: CONFIG.qrDownloadSize }))
+        : window.QREncoder.toPNG(qr, { size: CONFIG.qrDownloadSize });
+
+    triggerDownload(href, fileName);
+  }
+
+  // ── Print templates ──────────────────────────────────────────────────────────
+
+  // Returns { show(link, name), reset() } for the results handlers
+  function setupPrintTemplates(container, section) {
+    var templates = window.ReviewPrintTemplates;
+    var layoutSelect = section.querySelector(".review-qr-widget__print-layout");
+    var logoInput = section.querySelector(".review-qr-widget__print-logo");
+    var linkInput = section.querySelector(".review-qr-widget__print-link");
+    var accentInput = section.querySelector(".review-qr-widget__print-accent");
+    var errorText = section.querySelector(".review-qr-widget__print-error");
+    var preview = section.querySelector(".review-qr-widget__print-preview");
+
+    var currentLink = "";
+    var currentName = "";
+    var currentLogo = null;
+
+    function getData() {
+      return {
+        name: currentName,
+        link: currentLink,
+        displayLink: linkInput.value.trim(),
+        accent: accentInput.value,
+        logo: currentLogo,
+        ecc: getQrEcc(container),
+      };
+    }
+
+    function showError(message) {
+      errorText.textContent = message || "";
+      errorText.style.display = message ? "block" : "none";
+    }
+
+    function updatePreview() {
+      if (!currentLink) return;
+      preview.innerHTML = templates.toSVG(layoutSelect.value, getData(), { guides: true });
+    }
+
+    layoutSelect.addEventListener("change", updatePreview);
+    linkInput.addEventListener("input", updatePreview);
+    accentInput.addEventListener("input", updatePreview);
+
+    logoInput.addEventListener("change", function () {
+      var file = logoInput.files && logoInput.files[0];
+      showError("");
+      if (!file) {
+        currentLogo = null;
+        updatePreview();
+        return;
+      }
+
+      templates
+        .loadLogo(file)
+        .then(function (logo) {
+          currentLogo = logo;
+          updatePreview();
+        })
+        .catch(function (err) {
+          logoInput.value = "";
+          currentLogo = null;
+          showError(err.message);
+          updatePreview();
+        });
+    });
+
+    section.querySelectorAll("[data-print-format]").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        if (!currentLink) return;
+
+        var format = btn.dataset.printFormat;
+        var layout = layoutSelect.value;
+        var blob =
+          format === "pdf"
+            ? templates.toPDF(layout, getData())
+            : new Blob([templates.toSVG(layout, getData())], { type: "image/svg+xml" });
+
+        downloadBlob(blob, slugify(currentName) + "-review-" + layout + "." + format);
+        emitWidgetEvent(container, "qr:downloaded", {
+          link: currentLink,
+          format: format,
+          template: layout,
+        });
+      });
+    });
+
+    return {
+      show: function (link, name) {
+        currentLink = link;
+        currentName = name;
+        if (link) linkInput.value = templates.getDisplayLink(link);
+        updatePreview();
+      },
+      reset: function () {
+        currentLink = "";
+        currentLogo = null;
+        logoInput.value = "";
+        preview.innerHTML = "";
+        showError("");
+      },
+    };
+  }
+
+  function triggerDownload(href, fileName) {
+    var a = document.createElement("a");
+    a.href = href;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }
+
+  function downloadBlob(blob, fileName) {
+    var url = URL.createObjectURL(blob);
+    triggerDownload(url, fileName);
+    // Revoke once the browser has started the download
+    setTimeout(function () {
+      URL.revokeObjectURL(url);
+    }, 1000);
+  }
+
+  function slugify(str) {
+    return (
+      (str || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "business"
+    );
+  }
+
   // ── Helpers ──────────────────────────────────────────────────────────────────
 
   function showCopied(btn) {
@@ -248,7 +720,7 @@
     }, 2000);
   }
 
-  function fallbackCopy(text, btn) {
+  function fallbackCopy(text, btn, onCopied) {
     var ta = document.createElement("textarea");
     ta.value = text;
     ta.style.cssText = "position:fixed;left:-9999px;top:-9999px;opacity:0;";
@@ -258,6 +730,7 @@
     try {
       document.execCommand("copy");
       showCopied(btn);
+      if (onCopied) onCopied();
     } catch (err) {
       console.error("Copy failed:", err);
     }
@@ -270,7 +743,15 @@
     if (container.dataset.initialized) return;
 
     var title = container.dataset.title || "Google Review Link Generator";
-    container.innerHTML = createWidgetHTML(title);
+    var qr = container.dataset.qr !== "false";
+    var printTemplates = window.ReviewPrintTemplates;
+    container.innerHTML = createWidgetHTML(title, {
+      qr: qr,
+      print:
+        qr && printTemplates && container.dataset.print !== "false"
+          ? printTemplates.LAYOUTS
+          : null,
+    });
     setupHandlers(container);
     container.dataset.initialized = "true";
   }
@@ -289,5 +770,9 @@
   window.ReviewQRWidget = {
     init: initAllWidgets,
     initContainer: initWidget,
+    on: on,
+    off: off,
+    parseGoogleUrl: parseGoogleUrl,
+    buildReviewUrl: buildReviewUrl,
   };
 })();
@@ -0,0 +1,83 @@
+// Every URL form js/google-url-parser.js understands, with the listing it finds
+// and the review link built from it
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { loadScript } from './helpers/load-script.mjs';
+
+const { window: { GoogleUrlParser } } = loadScript('js/google-url-parser.js', { globals: { URL, URLSearchParams } });
+
+const PLACE_ID = 'ChIJN1t_tDeuEmsRUsoyG83frY4';
+const FEATURE_ID = '0x89c259af18b60165:0x8e1ebcb5b2a69cbd';
+const CID = '10240862254470663357';
+const PLACE_REVIEW_URL = `https://search.google.com/local/writereview?placeid=${PLACE_ID}`;
+const FEATURE_REVIEW_URL = `https://www.google.com/search?q=Joe's%20Pizza%20Brooklyn#lrd=${FEATURE_ID},3,,,`;
+const CID_REVIEW_URL = `https://maps.google.com/?cid=${CID}`;
+
+const CASES = [
+  // Place IDs
+  { form: 'raw', input: PLACE_ID, type: 'place_id', id: PLACE_ID, reviewUrl: PLACE_REVIEW_URL },
+  { form: 'writereview', input: `https://search.google.com/local/writereview?placeid=${PLACE_ID}`, type: 'place_id', id: PLACE_ID, reviewUrl: PLACE_REVIEW_URL },
+  { form: 'writereview', input: `search.google.com/local/reviews?placeid=${PLACE_ID}&hl=en`, type: 'place_id', id: PLACE_ID, reviewUrl: PLACE_REVIEW_URL },
+  { form: 'place_id_param', input: `https://www.google.com/maps/search/?api=1&query=Joe&query_place_id=${PLACE_ID}`, type: 'place_id', id: PLACE_ID, reviewUrl: PLACE_REVIEW_URL },
+  { form: 'place_id_param', input: `https://www.google.com/maps/place/?q=place_id:${PLACE_ID}`, type: 'place_id', id: PLACE_ID, reviewUrl: PLACE_REVIEW_URL },
+  { form: 'place_id_param', input: `https://www.google.com/maps/place/?q=place_id%3A${PLACE_ID}`, type: 'place_id', id: PLACE_ID, reviewUrl: PLACE_REVIEW_URL },
+  { form: 'maps_data', input: `https://www.google.com/maps/place/Joe's+Pizza/@40.7,-73.9,17z/data=!4m6!3m5!1s${PLACE_ID}!8m2!3d40.7!4d-73.9`, type: 'place_id', id: PLACE_ID, reviewUrl: PLACE_REVIEW_URL },
+
+  // Feature IDs
+  { form: 'raw', input: FEATURE_ID.toUpperCase().replace(/X/g, 'x'), type: 'feature_id', id: FEATURE_ID, reviewUrl: FEATURE_REVIEW_URL },
+  { form: 'maps_data', input: `https://www.google.com/maps/place/Joe's+Pizza/@40.7,-73.9,17z/data=!3m1!4b1!4m6!3m5!1s${FEATURE_ID}!8m2!3d40.7!4d-73.9`, type: 'feature_id', id: FEATURE_ID, reviewUrl: FEATURE_REVIEW_URL },
+  { form: 'lrd', input: `https://www.google.com/search?q=joes+pizza#lrd=${FEATURE_ID},1,,,`, type: 'feature_id', id: FEATURE_ID, reviewUrl: FEATURE_REVIEW_URL },
+  { form: 'lrd', input: `https://www.google.com/search?q=joes+pizza&lrd=${FEATURE_ID},3,,,`, type: 'feature_id', id: FEATURE_ID, reviewUrl: FEATURE_REVIEW_URL },
+  { form: 'ftid', input: `https://www.google.com/maps?ftid=${FEATURE_ID}`, type: 'feature_id', id: FEATURE_ID, reviewUrl: FEATURE_REVIEW_URL },
+
+  // CIDs
+  { form: 'cid', input: `https://maps.google.com/?cid=${CID}`, type: 'cid', id: CID, reviewUrl: CID_REVIEW_URL },
+  { form: 'cid', input: `google.com/maps?cid=${CID}&hl=en`, type: 'cid', id: CID, reviewUrl: CID_REVIEW_URL },
+  { form: 'ludocid', input: `https://www.google.com/search?q=joes+pizza&ludocid=${CID}`, type: 'cid', id: CID, reviewUrl: CID_REVIEW_URL },
+  { form: 'ludocid', input: `https://www.google.com/search?q=joes+pizza#ludocid=${CID}&lpsid=1`, type: 'cid', id: CID, reviewUrl: CID_REVIEW_URL },
+
+  // Business Profile review links
+  { form: 'g_page', input: 'https://g.page/r/CabcdEFGhijKLmnoEAE/review', type: 'review_link', id: 'https://g.page/r/CabcdEFGhijKLmnoEAE/review', reviewUrl: 'https://g.page/r/CabcdEFGhijKLmnoEAE/review' },
+  { form: 'g_page', input: 'g.page/r/CabcdEFGhijKLmnoEAE', type: 'review_link', id: 'https://g.page/r/CabcdEFGhijKLmnoEAE/review', reviewUrl: 'https://g.page/r/CabcdEFGhijKLmnoEAE/review' },
+
+  // URLs carrying several IDs resolve to the most direct one
+  { form: 'maps_data', input: `https://www.google.com/maps/place/Joe/data=!1s${FEATURE_ID}!19s${PLACE_ID}?cid=${CID}&q=place_id:${PLACE_ID}`, type: 'place_id', id: PLACE_ID, reviewUrl: PLACE_REVIEW_URL, expectedForm: 'place_id_param' },
+  { form: 'lrd', input: `https://www.google.com/search?q=joe&ludocid=${CID}#lrd=${FEATURE_ID},1,,,`, type: 'feature_id', id: FEATURE_ID, reviewUrl: FEATURE_REVIEW_URL }
+];
+
+const NO_MATCH = [
+  '',
+  'Joe\'s Pizza',
+  'https://maps.app.goo.gl/AbCdEfGh123',
+  'https://www.google.com/maps/search/joes+pizza',
+  `https://evil.example/?cid=${CID}`,
+  'https://www.google.com/maps?cid=123',
+  `https://search.google.com/local/writereview?placeid=short`
+];
+
+CASES.forEach(({ form, input, type, id, reviewUrl, expectedForm }) => {
+  test(`${form}: ${input}`, () => {
+    const match = GoogleUrlParser.parse(input);
+
+    assert.deepEqual({ ...match }, { type, id, form: expectedForm || form });
+    assert.equal(GoogleUrlParser.buildReviewUrl(match, 'Joe\'s Pizza', 'Brooklyn'), reviewUrl);
+  });
+});
+
+test('inputs without a listing ID fall back to a Maps search', () => {
+  NO_MATCH.forEach(input => {
+    assert.equal(GoogleUrlParser.parse(input), null, input);
+  });
+
+  assert.equal(
+    GoogleUrlParser.buildReviewUrl(null, 'Joe\'s Pizza', 'Brooklyn'),
+    'https://www.google.com/maps/search/?api=1&query=Joe\'s%20Pizza%20Brooklyn'
+  );
+});
+
+test('share links are recognized for server-side expansion', () => {
+  ['https://maps.app.goo.gl/AbCdEfGh123', 'goo.gl/maps/AbCdEf', 'https://share.google/xyz'].forEach(url => {
+    assert.equal(GoogleUrlParser.isShareLink(url), true, url);
+  });
+  assert.equal(GoogleUrlParser.isShareLink(`https://maps.google.com/?cid=${CID}`), false);
+});
@@ -0,0 +1,40 @@
+/**
+ * Loads a browser script from js/ into a fresh VM context so its IIFE runs as
+ * it would on a page. `globals` become properties of the fake window; `expose`
+ * names functions private to the IIFE that a test needs, returned as
+ * `exposed` alongside the window.
+ *
+ * The tests need nothing installed: run them with `node --test tests/` (Node 20+).
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+// Enough of `document` for widgets that look for containers on load
+const EMPTY_DOCUMENT = {
+  readyState: 'complete',
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener() {}
+};
+
+export function loadScript(file, { globals = {}, expose = [] } = {}) {
+  let source = readFileSync(ROOT + file, 'utf8');
+
+  if (expose.length > 0) {
+    const end = source.lastIndexOf('})();');
+    if (end === -1) throw new Error(`${file} is not an IIFE`);
+    source = `${source.slice(0, end)}window.__exposed = { ${expose.join(', ')} };\n${source.slice(end)}`;
+  }
+
+  const window = { document: EMPTY_DOCUMENT, ...globals };
+  window.window = window;
+  vm.createContext(window);
+  vm.runInContext(source, window, { filename: file });
+
+  const { __exposed: exposed, ...rest } = window;
+  return { window: rest, exposed };
+}
@@ -0,0 +1,94 @@
+// Hostile audit data and widget options must come out as text, and only
+// http(s) links may survive into hrefs
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { loadScript } from './helpers/load-script.mjs';
+
+const { exposed: widget } = loadScript('js/lighthouse-widget.js', {
+  globals: { URL },
+  expose: ['createWidgetHTML', 'createRecommendation', 'createRecommendationsHTML', 'formatDescriptionHTML', 'processDescription']
+});
+
+const SCRIPT = '<script>alert(1)</script>';
+const ONERROR = '<img src=x onerror="alert(1)">';
+const UNSAFE_URLS = ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,<script>alert(1)</script>', '//evil.example/x', '/relative'];
+
+// The payloads' handlers (onerror=, onload=) only matter inside these tags
+function assertNoMarkupFromPayload(html) {
+  assert.doesNotMatch(html, /<(script|img|svg)\b/i);
+}
+
+function getHrefs(html) {
+  return [...html.matchAll(/\shref="([^"]*)"/g)].map(match => match[1]);
+}
+
+function assertSafeHrefs(html) {
+  getHrefs(html).forEach(href => assert.match(href, /^https?:\/\//, `unsafe href: ${href}`));
+}
+
+function renderAudit(audit) {
+  const recommendation = widget.createRecommendation('hostile-audit', { score: 0, ...audit }, 'performance', {});
+  return widget.createRecommendationsHTML([recommendation], { title: 'Performance' });
+}
+
+test('data-title is escaped in the widget heading', () => {
+  const html = widget.createWidgetHTML(`Analyzer ${SCRIPT}${ONERROR}`);
+
+  assertNoMarkupFromPayload(html);
+  assert.match(html, /Analyzer &lt;script&gt;alert\(1\)&lt;\/script&gt;&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+});
+
+test('audit title, description and displayValue are escaped', () => {
+  const html = renderAudit({
+    title: `Slow ${SCRIPT}`,
+    description: `Fix ${ONERROR} and \`<svg onload=alert(1)>\``,
+    displayValue: `${SCRIPT} 1.2 s`
+  });
+
+  assertNoMarkupFromPayload(html);
+  assert.match(html, /Slow &lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(html, /Fix &lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+  assert.match(html, /<code>&lt;svg onload=alert\(1\)&gt;<\/code>/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt; 1\.2 s/);
+});
+
+test('markdown links with unsafe URLs render as plain text', () => {
+  UNSAFE_URLS.forEach(url => {
+    const html = widget.formatDescriptionHTML(`See [the docs](${url}) now.`);
+
+    assert.deepEqual(getHrefs(html), []);
+    assertNoMarkupFromPayload(html);
+    assert.match(html, /^See the docs/);
+  });
+});
+
+test('markdown link labels are escaped and safe URLs are kept', () => {
+  const html = widget.formatDescriptionHTML(`[${ONERROR}](https://example.com/a?b="c"&d=<e>)`);
+
+  assertNoMarkupFromPayload(html);
+  assertSafeHrefs(html);
+  assert.deepEqual(getHrefs(html), ['https://example.com/a?b=%22c%22&amp;d=%3Ce%3E']);
+});
+
+test('unsafe "Learn more" URLs in descriptions are dropped', () => {
+  UNSAFE_URLS.forEach(url => {
+    const { learnMoreUrl } = widget.processDescription(`Defer scripts. [Learn more](${url}).`);
+    assert.equal(learnMoreUrl, null);
+
+    const html = renderAudit({ title: 'Audit', description: `Defer scripts. [Learn more](${url}).` });
+    assertSafeHrefs(html);
+    assert.doesNotMatch(html, /lighthouse-widget__learn-more/);
+  });
+});
+
+test('unsafe learnMoreUrl values on stored recommendations get no link', () => {
+  UNSAFE_URLS.forEach(learnMoreUrl => {
+    const html = widget.createRecommendationsHTML([{
+      id: 'shared', title: ONERROR, description: '', learnMoreUrl, impact: 'High', displayValue: SCRIPT
+    }], { title: 'Performance' });
+
+    assertNoMarkupFromPayload(html);
+    assertSafeHrefs(html);
+    assert.doesNotMatch(html, /lighthouse-widget__learn-more/);
+  });
+});
@@ -0,0 +1,90 @@
+// Known-answer vectors for js/qr-encoder.js. The expected matrices come from
+// qrcode@1.5.4 (byte mode, same version, level and mask); sha256 is taken over
+// the rows of 0s and 1s joined with newlines. Vectors without a version or mask
+// also check the version and mask the encoder picks.
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { test } from 'node:test';
+import { loadScript } from './helpers/load-script.mjs';
+
+const { window: { QREncoder } } = loadScript('js/qr-encoder.js', { globals: { TextEncoder } });
+
+const REVIEW_LINK = 'https://search.google.com/local/writereview?placeid=ChIJN1t_tDeuEmsRUsoyG83frY4';
+
+const VECTORS = [
+  { text: 'hello, world', ecc: 'L', version: 1, mask: 0, expected: { version: 1, mask: 0, sha256: '49832f43ce8be057ccfe555c972cde261a26704a5b6eacaa8a5141a55ef4b594' } },
+  { text: 'https://example.com', ecc: 'M', version: 2, mask: 1, expected: { version: 2, mask: 1, sha256: '93b806b398e97871698b7a997681492522147a0b49b0a0d3d84a3ade521fffad' } },
+  { text: 'https://example.com', ecc: 'Q', version: 3, mask: 2, expected: { version: 3, mask: 2, sha256: '1d47dae4276f1a93777433a337bb25038f23840dcfe7930848d6f8d005965fc0' } },
+  { text: 'https://example.com', ecc: 'H', version: 4, mask: 3, expected: { version: 4, mask: 3, sha256: 'c2a972c52f1e814ca913fcd22b9c58cbb266362066e2a8b8f6855a09ae8c4aa2' } },
+  { text: 'HELLO WORLD', ecc: 'Q', version: 1, mask: 4, expected: { version: 1, mask: 4, sha256: '75cd3bf99aecdee19ea9e4153970ea01aa6b6813e90c8c62d6e70f74aa02644f' } },
+  { text: 'Caf\u00e9 \u2615 \ud83c\udf55', ecc: 'M', version: 2, mask: 5, expected: { version: 2, mask: 5, sha256: 'a65c4333b1b2b837038bc04d9fbfbbb5857b604afff0a11d1729be361564043a' } },
+  { text: REVIEW_LINK, ecc: 'M', version: 7, mask: 6, expected: { version: 7, mask: 6, sha256: 'e67f582444e11840613e7c1560ae43f6d0f99e65237f0d1f7154f4744dfa0dc5' } },
+  { text: REVIEW_LINK, ecc: 'H', version: 10, mask: 7, expected: { version: 10, mask: 7, sha256: 'aad1beabeb0ee31cfc88ec64d483c4f16f6782abbd9470299c0ed37d52265014' } },
+  { text: 'x'.repeat(300), ecc: 'L', version: 14, expected: { version: 14, mask: 0, sha256: 'b32b8dfc5f28456154f0fb9bfdae4cdb601c5366d4fed0d70178e6c346ce36f5' } },
+  { text: 'The quick brown fox jumps over the lazy dog. '.repeat(15), ecc: 'Q', version: 27, expected: { version: 27, mask: 4, sha256: '2c3347e9589f4261384e175c0b08193f0c5f616747d76f53184d488caaddfefa' } },
+  { text: '0123456789'.repeat(100), ecc: 'H', version: 40, expected: { version: 40, mask: 2, sha256: 'f1c463309f9946fff62e1e47d5c157d8b2cb7f8466bff3687a493e6fa109366a' } },
+  // qrcode@1.5.4 picks mask 2 here: it ignores finder-like runs that touch the
+  // symbol's edge, where the spec counts the quiet zone as light modules
+  { text: 'https://example.com', ecc: 'M', expected: { version: 2, mask: 1, sha256: '93b806b398e97871698b7a997681492522147a0b49b0a0d3d84a3ade521fffad' } },
+  { text: 'https://g.page/r/CabcdEFGhijKLmnoEAE/review', ecc: 'H', expected: { version: 5, mask: 2, sha256: '89a68a12580969ca37d592eec6b049d72a65dd8f63420221f2b91f4a10e0487b' } },
+  { text: 'a'.repeat(2953), ecc: 'L', expected: { version: 40, mask: 1, sha256: '6620e9cef6a5e3b03c0500f72006c3c2537d18a0cc202b02d9849ab0c1f46afb' } }
+];
+
+// "hello, world", version 1-L, mask 0, in full
+const HELLO_WORLD_1L = [
+  '111111100010101111111',
+  '100000100000101000001',
+  '101110101010001011101',
+  '101110100000101011101',
+  '101110100101101011101',
+  '100000100111001000001',
+  '111111101010101111111',
+  '000000001010000000000',
+  '111011111010111000100',
+  '101101011101000010011',
+  '110110110101010111111',
+  '100100011101100100010',
+  '000110101011000010000',
+  '000000001011001110111',
+  '111111101010110010111',
+  '100000101001000100010',
+  '101110101001110100010',
+  '101110100001110110110',
+  '101110101111100010101',
+  '100000101011000010010',
+  '111111101011000100011'
+];
+
+function getRows(qr) {
+  const rows = [];
+  for (let y = 0; y < qr.size; y++) {
+    let row = '';
+    for (let x = 0; x < qr.size; x++) row += qr.isDark(x, y) ? '1' : '0';
+    rows.push(row);
+  }
+  return rows;
+}
+
+test('version 1-L matrix matches module for module', () => {
+  const qr = QREncoder.encode('hello, world', { ecc: 'L', version: 1, mask: 0 });
+  assert.deepEqual(getRows(qr), HELLO_WORLD_1L);
+});
+
+VECTORS.forEach(({ text, expected, ...options }) => {
+  const name = `${text.length} bytes, ${options.ecc}, version ${options.version ?? 'auto'}, mask ${options.mask ?? 'auto'}`;
+
+  test(name, () => {
+    const qr = QREncoder.encode(text, options);
+
+    assert.equal(qr.version, expected.version);
+    assert.equal(qr.mask, expected.mask);
+    assert.equal(qr.size, expected.version * 4 + 17);
+    assert.equal(createHash('sha256').update(getRows(qr).join('\n')).digest('hex'), expected.sha256);
+  });
+});
+
+test('text over the version 40 capacity throws a RangeError', () => {
+  // The script runs in its own realm, so match the error by name
+  assert.throws(() => QREncoder.encode('a'.repeat(2954), { ecc: 'L' }), { name: 'RangeError' });
+  assert.throws(() => QREncoder.encode('hello, world, hello', { ecc: 'L', version: 1 }), { name: 'RangeError' });
+});